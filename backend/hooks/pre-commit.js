@@ -12,7 +12,7 @@
  * 3. Configure the backend URL in your environment
  */
 
-import { execSync } from "child_process";
+import { execSync, execFileSync } from "child_process";
 import fs from "fs";
 import path from "path";
 import https from "https";
@@ -47,6 +47,29 @@ if (fs.existsSync(envPath)) {
 const BACKEND_URL = process.env.CODE_REVIEW_BACKEND || "http://localhost:5000";
 const USER_ID = process.env.CODE_REVIEW_USER_ID || "1";
 const SKIP_REVIEW = process.env.SKIP_CODE_REVIEW === "true";
+const CHANGED_LINES_ONLY = process.env.CODE_REVIEW_CHANGED_LINES_ONLY;
+const VERIFY_FINDINGS = process.env.CODE_REVIEW_VERIFY_FINDINGS;
+// Analysis passes to run; hooks default to the fast "quick" profile
+const DEPTH = process.env.CODE_REVIEW_DEPTH || "quick";
+// Verified findings below this confidence do not block the commit
+const MIN_CONFIDENCE = process.env.CODE_REVIEW_MIN_CONFIDENCE;
+// Upload the staged diff instead of sending a local path, for backends
+// that cannot see this checkout (containers, remote hosts)
+const UPLOAD_DIFF = process.env.CODE_REVIEW_UPLOAD_DIFF === "true";
+const UPLOAD_MAX_FILE_BYTES = 200000;
+// Review configuration and accepted findings, committed at the repository
+// root; the backend needs them even when they are not staged
+const REPOSITORY_FILES = [
+  ".aireview.json",
+  ".aireview.yml",
+  ".aireview.yaml",
+  ".aireview-baseline.json",
+];
+const POLL_INTERVAL_MS = parseInt(
+  process.env.CODE_REVIEW_POLL_INTERVAL_MS || "2000"
+);
+const REVIEW_TIMEOUT_MS =
+  parseInt(process.env.CODE_REVIEW_TIMEOUT || "900") * 1000;
 
 // Colors for terminal output
 const colors = {
@@ -74,6 +97,48 @@ function checkStagedChanges() {
   }
 }
 
+/**
+ * Staged diff plus the staged contents of each changed file
+ */
+function collectStagedChanges() {
+  const git = (...args) =>
+    execFileSync("git", args, {
+      encoding: "utf-8",
+      maxBuffer: 64 * 1024 * 1024,
+    });
+
+  const diff = git("diff", "--cached");
+  const files = {};
+  const changed = git(
+    "diff",
+    "--cached",
+    "--name-only",
+    "--diff-filter=d",
+    "-z"
+  )
+    .split("\0")
+    .filter(Boolean);
+
+  changed.push(
+    ...git("ls-files", "-z", "--", ...REPOSITORY_FILES)
+      .split("\0")
+      .filter(Boolean)
+  );
+
+  for (const file of new Set(changed)) {
+    try {
+      const content = git("show", `:${file}`);
+      if (Buffer.byteLength(content) <= UPLOAD_MAX_FILE_BYTES) {
+        files[file] = content;
+      }
+    } catch (error) {
+      // Binary or unreadable files are reviewed from the diff alone
+    }
+  }
+
+  return { diff, files };
+}
+
 function makeRequest(url, method = "GET", data = null) {
   return new Promise((resolve, reject) => {
     const parsedUrl = new URL(url);
@@ -123,6 +188,221 @@ function makeRequest(url, method = "GET", data = null) {
   });
 }
 
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * CODE_REVIEW_MIN_CONFIDENCE as a number, or undefined when it is unset or
+ * not a number between 0 and 1 (the repository's setting applies then)
+ */
+function parseMinConfidence() {
+  if (MIN_CONFIDENCE === undefined || MIN_CONFIDENCE.trim() === "") {
+    return undefined;
+  }
+  const value = Number(MIN_CONFIDENCE);
+  if (!Number.isFinite(value) || value < 0 || value > 1) {
+    log(
+      `\n⚠️  Ignoring CODE_REVIEW_MIN_CONFIDENCE="${MIN_CONFIDENCE}": expected a number between 0 and 1`,
+      "yellow"
+    );
+    return undefined;
+  }
+  return value;
+}
+
+/**
+ * Print a single streamed review event
+ */
+function logReviewEvent(type, data) {
+  switch (type) {
+    case "status":
+      if (data.status === "IN_PROGRESS") {
+        log(`   Analyzing ${data.filesTotal} file(s)...`, "cyan");
+      }
+      break;
+    case "file-skipped":
+      log(`   ⏭️  Skipped ${data.file} (${data.reason})`, "reset");
+      break;
+    case "file-started":
+      log(`   [${data.index}/${data.filesTotal}] ${data.file}`, "blue");
+      break;
+    case "issue": {
+      const { issue } = data;
+      const color =
+        issue.severity === "CRITICAL"
+          ? "red"
+          : issue.severity === "MAJOR"
+          ? "yellow"
+          : "reset";
+      log(
+        `      ${issue.severity}: ${issue.title} (line ${issue.lineNumber})`,
+        color
+      );
+      break;
+    }
+    case "tokens":
+      log(
+        `      ${data.tokensUsed} tokens (total ${data.totalTokens})`,
+        "reset"
+      );
+      break;
+    case "file-error":
+      log(`      Failed: ${data.error}`, "red");
+      break;
+    case "effort-started":
+      log(`   Estimating effort for ${data.issues} issue(s)...`, "cyan");
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Follow the review's Server-Sent Events stream until it completes.
+ * Resolves with true when the review completed, false if the stream
+ * could not be used (so the caller can fall back to polling).
+ */
+function streamReview(reviewId) {
+  return new Promise((resolve, reject) => {
+    const parsedUrl = new URL(`${BACKEND_URL}/api/reviews/${reviewId}/events`);
+    const protocol = parsedUrl.protocol === "https:" ? https : http;
+    let settled = false;
+
+    const finish = (fn, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      req.destroy();
+      fn(value);
+    };
+
+    const timer = setTimeout(
+      () =>
+        finish(
+          reject,
+          new Error(
+            `Timed out after ${
+              REVIEW_TIMEOUT_MS / 1000
+            }s waiting for review ${reviewId}`
+          )
+        ),
+      REVIEW_TIMEOUT_MS
+    );
+
+    const req = protocol.get(
+      parsedUrl,
+      { headers: { Accept: "text/event-stream" } },
+      (res) => {
+        if (
+          res.statusCode !== 200 ||
+          !String(res.headers["content-type"]).includes("text/event-stream")
+        ) {
+          res.resume();
+          return finish(resolve, false);
+        }
+
+        let buffer = "";
+        res.setEncoding("utf-8");
+
+        res.on("data", (chunk) => {
+          buffer += chunk;
+          let boundary;
+          while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+            const raw = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+
+            let type = "message";
+            let data = "";
+            for (const line of raw.split("\n")) {
+              if (line.startsWith("event:")) type = line.slice(6).trim();
+              else if (line.startsWith("data:")) data += line.slice(5).trim();
+            }
+            if (!data) continue;
+
+            let payload;
+            try {
+              payload = JSON.parse(data);
+            } catch (error) {
+              continue;
+            }
+
+            if (type === "complete") return finish(resolve, true);
+            if (type === "failed") {
+              return finish(
+                reject,
+                new Error(payload.error || "Analysis failed")
+              );
+            }
+            logReviewEvent(type, payload);
+          }
+        });
+
+        // Stream dropped before the review finished: poll for the rest
+        res.on("end", () => finish(resolve, false));
+      }
+    );
+
+    req.on("error", () => finish(resolve, false));
+  });
+}
+
+/**
+ * Poll the review status endpoint until the queued review finishes
+ */
+async function waitForReview(reviewId) {
+  const startedAt = Date.now();
+  let lastProgress = null;
+
+  while (Date.now() - startedAt < REVIEW_TIMEOUT_MS) {
+    const response = await makeRequest(
+      `${BACKEND_URL}/api/reviews/${reviewId}/status`
+    );
+
+    if (response.statusCode !== 200) {
+      throw new Error(response.data?.error || "Failed to fetch review status");
+    }
+
+    const { status, review } = response.data;
+
+    const progressLine =
+      review.filesTotal > 0
+        ? `   [${review.filesProcessed}/${review.filesTotal}] ${
+            review.currentFile || "finishing up..."
+          }`
+        : `   ${status.toLowerCase().replace("_", " ")}...`;
+
+    if (progressLine !== lastProgress) {
+      log(progressLine, "reset");
+      lastProgress = progressLine;
+    }
+
+    if (status === "FAILED") {
+      throw new Error(review.error || "Analysis failed");
+    }
+
+    if (status === "COMPLETED") {
+      return fetchReview(reviewId);
+    }
+
+    await sleep(POLL_INTERVAL_MS);
+  }
+
+  throw new Error(
+    `Timed out after ${
+      REVIEW_TIMEOUT_MS / 1000
+    }s waiting for review ${reviewId}`
+  );
+}
+
+async function fetchReview(reviewId) {
+  const result = await makeRequest(`${BACKEND_URL}/api/reviews/${reviewId}`);
+  if (result.statusCode !== 200) {
+    throw new Error(result.data?.error || "Failed to fetch review");
+  }
+  return result.data.review;
+}
+
 async function runCodeReview() {
   try {
     log("\nRunning automated code review...", "cyan");
@@ -163,24 +443,56 @@ async function runCodeReview() {
       encoding: "utf-8",
     }).trim();
 
+    const options = {
+      userId: parseInt(USER_ID),
+      // Unset: use the backend default
+      changedLinesOnly:
+        CHANGED_LINES_ONLY === undefined
+          ? undefined
+          : CHANGED_LINES_ONLY === "true",
+      verifyFindings:
+        VERIFY_FINDINGS === undefined ? undefined : VERIFY_FINDINGS === "true",
+      depth: DEPTH,
+    };
+
     // Trigger analysis
     log("\nAnalyzing staged changes...", "blue");
-    const response = await makeRequest(
-      `${BACKEND_URL}/api/reviews/analyze-staged`,
-      "POST",
-      {
-        repositoryPath: repoPath,
-        userId: parseInt(USER_ID),
-      }
-    );
+    let response;
+    if (UPLOAD_DIFF) {
+      const { diff, files } = collectStagedChanges();
+      const branch = execSync("git rev-parse --abbrev-ref HEAD", {
+        encoding: "utf-8",
+      }).trim();
+      response = await makeRequest(
+        `${BACKEND_URL}/api/reviews/analyze-diff`,
+        "POST",
+        {
+          ...options,
+          diff,
+          files,
+          repositoryName: path.basename(repoPath),
+          branch,
+        }
+      );
+    } else {
+      response = await makeRequest(
+        `${BACKEND_URL}/api/reviews/analyze-staged`,
+        "POST",
+        { ...options, repositoryPath: repoPath }
+      );
+    }
 
-    if (response.statusCode !== 200) {
+    if (response.statusCode !== 202 && response.statusCode !== 200) {
       log("\nAnalysis failed", "red");
       log(`   ${response.data?.error || "Unknown error"}`, "red");
       process.exit(1);
     }
 
-    const { review } = response.data;
+    log(`   Review queued (ID: ${response.data.reviewId})`, "cyan");
+    const streamed = await streamReview(response.data.reviewId);
+    const review = streamed
+      ? await fetchReview(response.data.reviewId)
+      : await waitForReview(response.data.reviewId);
 
     // Display results
     log("\nAnalysis Complete!", "green");
@@ -189,6 +501,45 @@ async function runCodeReview() {
     log(`\nFiles analyzed: ${review.filesAnalyzed}`, "cyan");
     log(`Analysis time: ${review.analysisTime?.toFixed(2)}s`, "cyan");
     log(`Tokens used: ${review.tokensUsed}`, "cyan");
+    const passes = Object.entries(review.summary?.passes || {});
+    if (passes.length > 0) {
+      log(
+        `Passes (${review.summary.depth}): ${passes
+          .map(([pass, stats]) => `${pass} ${stats.tokensUsed}`)
+          .join(", ")} tokens`,
+        "cyan"
+      );
+    }
+    const filter = review.summary?.changedLinesFilter;
+    if (filter) {
+      log(
+        `Changed lines only: ${filter.kept} kept, ${filter.downgraded} downgraded, ${filter.dropped} dropped`,
+        "cyan"
+      );
+    }
+    const verification = review.summary?.verification;
+    if (verification) {
+      log(
+        `Verification: ${verification.verified} checked, ${verification.downgraded} downgraded, ${verification.dropped} dropped`,
+        "cyan"
+      );
+    }
+    const suppressed = review.summary?.suppressed;
+    if (suppressed && suppressed.inline + suppressed.baseline > 0) {
+      log(
+        `Suppressed: ${suppressed.inline} by ignore comments, ${suppressed.baseline} by the baseline`,
+        "cyan"
+      );
+    }
+    if (review.previousReviewId) {
+      log(
+        `Since the last review: ${review.newIssues} new, ${review.persistingIssues} persisting, ${review.fixedIssues} fixed`,
+        "cyan"
+      );
+    }
+    if (review.cachedTokens > 0) {
+      log(`Tokens saved by cache: ${review.cachedTokens}`, "cyan");
+    }
 
     if (review.estimatedEffort) {
       log(
@@ -243,10 +594,45 @@ async function runCodeReview() {
     log(`\n📊  report: ${BACKEND_URL}/reviews/${review.id}`, "cyan");
     log(`🔗 Review ID: ${review.id}`, "cyan");
 
-    // Decision point
-    if (review.criticalIssues > 0) {
-      log("\n⛔ COMMIT BLOCKED: Critical issues found!", "red");
-      log("   Please fix critical issues before committing.", "yellow");
+    // Files the model could not analyze may hide any number of issues
+    if (review.failedFiles?.length > 0) {
+      log("\n⛔ COMMIT BLOCKED: Some files could not be analyzed!", "red");
+      for (const { file, error } of review.failedFiles) {
+        log(`   ${file}: ${error}`, "red");
+      }
+      log("   Retry the commit, or check the AI provider's logs.", "yellow");
+      log("   Or use: git commit --no-verify to skip this check\n", "yellow");
+      process.exit(1);
+    }
+
+    // Decision point: the repository's .aireview config sets how many
+    // issues of each severity a commit may have. Criticals block unless
+    // the config allows some explicitly.
+    const blockOn = { CRITICAL: 0, ...review.config?.blockOn };
+    // Unverified findings (no confidence) always count
+    const minConfidence =
+      parseMinConfidence() ?? (review.config?.minConfidence || 0);
+    const counts = { CRITICAL: 0, MAJOR: 0, MINOR: 0, INFO: 0 };
+    for (const issue of review.issues || []) {
+      if (issue.confidence == null || issue.confidence >= minConfidence) {
+        counts[issue.severity]++;
+      }
+    }
+    const exceeded = Object.entries(blockOn).filter(
+      ([severity, max]) => counts[severity] > max
+    );
+    if (exceeded.length > 0) {
+      log("\n⛔ COMMIT BLOCKED: Too many issues found!", "red");
+      for (const [severity, max] of exceeded) {
+        log(`   ${severity}: ${counts[severity]} found, ${max} allowed`, "red");
+      }
+      if (minConfidence > 0) {
+        log(
+          `   (counting findings verified with at least ${minConfidence} confidence)`,
+          "red"
+        );
+      }
+      log("   Please fix these issues before committing.", "yellow");
       log("   Or use: git commit --no-verify to skip this check\n", "yellow");
       process.exit(1);
     }
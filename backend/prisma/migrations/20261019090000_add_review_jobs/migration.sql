@@ -0,0 +1,36 @@
+-- CreateEnum
+CREATE TYPE "JobStatus" AS ENUM ('QUEUED', 'RUNNING', 'COMPLETED', 'FAILED');
+
+-- AlterTable
+ALTER TABLE "CodeReview" ADD COLUMN     "currentFile" TEXT,
+ADD COLUMN     "error" TEXT,
+ADD COLUMN     "filesProcessed" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "filesTotal" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "ReviewJob" (
+    "id" TEXT NOT NULL,
+    "reviewId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "payload" JSONB NOT NULL,
+    "status" "JobStatus" NOT NULL DEFAULT 'QUEUED',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "maxAttempts" INTEGER NOT NULL DEFAULT 2,
+    "lastError" TEXT,
+    "lockedAt" TIMESTAMP(3),
+    "startedAt" TIMESTAMP(3),
+    "finishedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ReviewJob_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ReviewJob_status_createdAt_idx" ON "ReviewJob"("status", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "ReviewJob_reviewId_idx" ON "ReviewJob"("reviewId");
+
+-- AddForeignKey
+ALTER TABLE "ReviewJob" ADD CONSTRAINT "ReviewJob_reviewId_fkey" FOREIGN KEY ("reviewId") REFERENCES "CodeReview"("id") ON DELETE CASCADE ON UPDATE CASCADE;
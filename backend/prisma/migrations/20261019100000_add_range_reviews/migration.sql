@@ -0,0 +1,15 @@
+-- CreateEnum
+CREATE TYPE "ReviewType" AS ENUM ('STAGED', 'COMMIT', 'RANGE');
+
+-- AlterTable
+ALTER TABLE "CodeIssue" ADD COLUMN     "commitHash" TEXT;
+
+-- AlterTable
+ALTER TABLE "CodeReview" ADD COLUMN     "baseRef" TEXT,
+ADD COLUMN     "commitBreakdown" JSONB,
+ADD COLUMN     "headRef" TEXT,
+ADD COLUMN     "mergeBase" TEXT,
+ADD COLUMN     "type" "ReviewType" NOT NULL DEFAULT 'STAGED';
+
+-- Backfill: existing reviews with a commit hash were single-commit reviews
+UPDATE "CodeReview" SET "type" = 'COMMIT' WHERE "commitHash" IS NOT NULL;
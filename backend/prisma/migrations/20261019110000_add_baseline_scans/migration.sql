@@ -0,0 +1,5 @@
+-- AlterEnum
+ALTER TYPE "ReviewType" ADD VALUE 'BASELINE';
+
+-- AlterTable
+ALTER TABLE "CodeReview" ADD COLUMN     "scanPath" TEXT;
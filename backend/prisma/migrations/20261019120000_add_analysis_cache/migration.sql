@@ -0,0 +1,19 @@
+-- AlterTable
+ALTER TABLE "CodeReview" ADD COLUMN     "cachedTokens" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "AnalysisCache" (
+    "key" TEXT NOT NULL,
+    "provider" TEXT NOT NULL,
+    "model" TEXT NOT NULL,
+    "result" JSONB NOT NULL,
+    "tokensUsed" INTEGER NOT NULL DEFAULT 0,
+    "hits" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastUsedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AnalysisCache_pkey" PRIMARY KEY ("key")
+);
+
+-- CreateIndex
+CREATE INDEX "AnalysisCache_lastUsedAt_idx" ON "AnalysisCache"("lastUsedAt");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "CodeIssue" ADD COLUMN     "lineVerified" BOOLEAN NOT NULL DEFAULT true;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "CodeReview" ADD COLUMN     "options" JSONB,
+ADD COLUMN     "summary" JSONB;
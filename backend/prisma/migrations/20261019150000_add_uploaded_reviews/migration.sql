@@ -0,0 +1,2 @@
+-- AlterEnum
+ALTER TYPE "ReviewType" ADD VALUE 'UPLOAD';
@@ -0,0 +1,6 @@
+-- CreateEnum
+CREATE TYPE "IssueSource" AS ENUM ('AI', 'LINTER');
+
+-- AlterTable
+ALTER TABLE "CodeIssue" ADD COLUMN     "ruleId" TEXT,
+ADD COLUMN     "source" "IssueSource" NOT NULL DEFAULT 'AI';
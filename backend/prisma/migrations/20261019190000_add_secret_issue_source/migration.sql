@@ -0,0 +1,2 @@
+-- AlterEnum
+ALTER TYPE "IssueSource" ADD VALUE 'SECRET';
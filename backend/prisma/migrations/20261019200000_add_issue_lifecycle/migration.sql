@@ -0,0 +1,16 @@
+-- CreateEnum
+CREATE TYPE "IssueLifecycle" AS ENUM ('NEW', 'PERSISTING');
+
+-- AlterTable
+ALTER TABLE "CodeIssue" ADD COLUMN     "fingerprint" TEXT,
+ADD COLUMN     "fixedInReviewId" TEXT,
+ADD COLUMN     "lifecycle" "IssueLifecycle" NOT NULL DEFAULT 'NEW';
+
+-- AlterTable
+ALTER TABLE "CodeReview" ADD COLUMN     "fixedIssues" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "newIssues" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "persistingIssues" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "previousReviewId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "CodeIssue_fingerprint_idx" ON "CodeIssue"("fingerprint");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "CodeReview" ADD COLUMN     "config" JSONB;
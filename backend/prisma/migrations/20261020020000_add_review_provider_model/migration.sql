@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "CodeReview" ADD COLUMN     "model" TEXT,
+ADD COLUMN     "provider" TEXT;
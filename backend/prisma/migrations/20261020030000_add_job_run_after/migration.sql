@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "ReviewJob" ADD COLUMN     "runAfter" TIMESTAMP(3);
@@ -1,13 +1,12 @@
 import express from "express";
 import aiService from "../services/aiService.js";
-import llmService from "../services/llmService.js";
-import geminiService from "../services/geminiService.js";
+import providerRegistry from "../services/providerRegistry.js";
 
 const router = express.Router();
 
 /**
  * GET /api/ai/provider
- * Get current AI provider
+ * Get current AI provider and the registered ones
  */
 router.get("/provider", (req, res) => {
   try {
@@ -15,7 +14,8 @@ router.get("/provider", (req, res) => {
     res.json({
       success: true,
       provider: currentProvider,
-      available: ["ollama", "gemini"],
+      available: providerRegistry.names(),
+      providers: providerRegistry.list(),
     });
   } catch (error) {
     console.error("Get provider error:", error);
@@ -25,7 +25,7 @@ router.get("/provider", (req, res) => {
 
 /**
  * POST /api/ai/provider
- * Set AI provider
+ * Set the default AI provider, used by reviews that do not choose one
  */
 router.post("/provider", async (req, res) => {
   try {
@@ -35,9 +35,11 @@ router.post("/provider", async (req, res) => {
       return res.status(400).json({ error: "Provider is required" });
     }
 
-    if (provider !== "ollama" && provider !== "gemini") {
+    if (!providerRegistry.has(provider)) {
       return res.status(400).json({
-        error: 'Invalid provider. Must be "ollama" or "gemini"',
+        error: `Invalid provider. Must be one of: ${providerRegistry
+          .names()
+          .join(", ")}`,
       });
     }
 
@@ -67,17 +69,12 @@ router.post("/provider", async (req, res) => {
  */
 router.get("/health/all", async (req, res) => {
   try {
-    const ollamaHealth = await llmService.checkHealth();
-    const geminiHealth = await geminiService.checkHealth();
-    const currentProvider = aiService.getProvider();
+    const { currentProvider, ...providers } = await aiService.checkAllHealth();
 
     res.json({
       success: true,
       currentProvider: currentProvider,
-      providers: {
-        ollama: ollamaHealth,
-        gemini: geminiHealth,
-      },
+      providers,
     });
   } catch (error) {
     console.error("Health check error:", error);
@@ -1,17 +1,62 @@
 import express from "express";
 import codeAnalysisService from "../services/codeAnalysisService.js";
 import aiService from "../services/aiService.js";
+import providerRegistry from "../services/providerRegistry.js";
+import reviewEvents from "../services/reviewEvents.js";
+import suppressionService, {
+  BASELINE_FILE,
+} from "../services/suppressionService.js";
 import { prisma } from "../server.js";
 
 const router = express.Router();
 
+/**
+ * Reject a request naming an unknown AI provider. The provider applies to
+ * the requested review only.
+ */
+const validateProvider = (req, res, next) => {
+  const { provider } = req.body || {};
+  if (provider && !providerRegistry.has(provider)) {
+    return res.status(400).json({
+      error: `Invalid provider. Must be one of: ${providerRegistry
+        .names()
+        .join(", ")}`,
+    });
+  }
+  next();
+};
+
+/**
+ * Respond that a review was queued, with where to poll its progress
+ */
+const sendQueued = (res, review, provider, message = "Analysis queued.") => {
+  res.status(202).json({
+    success: true,
+    reviewId: review.id,
+    review,
+    statusUrl: `/api/reviews/${review.id}/status`,
+    provider: provider || aiService.getProvider(),
+    message,
+  });
+};
+
 /**
  * POST /api/reviews/analyze-staged
- * Analyze staged changes in repository
+ * Queue analysis of staged changes in repository.
+ * Responds immediately; poll GET /api/reviews/:id/status for progress.
  */
-router.post("/analyze-staged", async (req, res) => {
+router.post("/analyze-staged", validateProvider, async (req, res) => {
   try {
-    const { repositoryPath, userId, provider } = req.body;
+    const {
+      repositoryPath,
+      userId,
+      provider,
+      model,
+      changedLinesOnly,
+      contextFindings,
+      verifyFindings,
+      depth,
+    } = req.body;
 
     if (!repositoryPath || !userId) {
       return res.status(400).json({
@@ -19,28 +64,20 @@ router.post("/analyze-staged", async (req, res) => {
       });
     }
 
-    // Switch provider if specified
-    const currentProvider = aiService.getProvider();
-    if (provider && provider !== currentProvider) {
-      if (provider !== "ollama" && provider !== "gemini") {
-        return res.status(400).json({
-          error: 'Invalid provider. Must be "ollama" or "gemini"',
-        });
-      }
-      aiService.setProvider(provider);
-    }
-
     const review = await codeAnalysisService.analyzeStagedChanges(
       repositoryPath,
-      userId
+      userId,
+      {
+        changedLinesOnly,
+        contextFindings,
+        verifyFindings,
+        depth,
+        provider,
+        model,
+      }
     );
 
-    res.json({
-      success: true,
-      review,
-      provider: aiService.getProvider(),
-      message: `Analysis complete. Found ${review.issuesFound} issues.`,
-    });
+    sendQueued(res, review, provider);
   } catch (error) {
     console.error("Staged analysis error:", error);
     res.status(500).json({
@@ -51,11 +88,22 @@ router.post("/analyze-staged", async (req, res) => {
 
 /**
  * POST /api/reviews/analyze-commit
- * Analyze specific commit
+ * Queue analysis of a specific commit.
+ * Responds immediately; poll GET /api/reviews/:id/status for progress.
  */
-router.post("/analyze-commit", async (req, res) => {
+router.post("/analyze-commit", validateProvider, async (req, res) => {
   try {
-    const { repositoryPath, commitHash, userId, provider } = req.body;
+    const {
+      repositoryPath,
+      commitHash,
+      userId,
+      provider,
+      model,
+      changedLinesOnly,
+      contextFindings,
+      verifyFindings,
+      depth,
+    } = req.body;
 
     if (!repositoryPath || !commitHash || !userId) {
       return res.status(400).json({
@@ -63,29 +111,21 @@ router.post("/analyze-commit", async (req, res) => {
       });
     }
 
-    // Switch provider if specified
-    const currentProvider = aiService.getProvider();
-    if (provider && provider !== currentProvider) {
-      if (provider !== "ollama" && provider !== "gemini") {
-        return res.status(400).json({
-          error: 'Invalid provider. Must be "ollama" or "gemini"',
-        });
-      }
-      aiService.setProvider(provider);
-    }
-
     const review = await codeAnalysisService.analyzeCommit(
       repositoryPath,
       commitHash,
-      userId
+      userId,
+      {
+        changedLinesOnly,
+        contextFindings,
+        verifyFindings,
+        depth,
+        provider,
+        model,
+      }
     );
 
-    res.json({
-      success: true,
-      review,
-      provider: aiService.getProvider(),
-      message: `Analysis complete. Found ${review.issuesFound} issues.`,
-    });
+    sendQueued(res, review, provider);
   } catch (error) {
     console.error("Commit analysis error:", error);
     res.status(500).json({
@@ -94,6 +134,194 @@ router.post("/analyze-commit", async (req, res) => {
   }
 });
 
+/**
+ * POST /api/reviews/analyze-range
+ * Queue analysis of a branch or commit range against its merge base.
+ * Set perCommit to also break the findings down commit by commit.
+ */
+router.post("/analyze-range", validateProvider, async (req, res) => {
+  try {
+    const {
+      repositoryPath,
+      base,
+      head = "HEAD",
+      userId,
+      perCommit = false,
+      provider,
+      model,
+      changedLinesOnly,
+      contextFindings,
+      verifyFindings,
+      depth,
+    } = req.body;
+
+    if (!repositoryPath || !base || !userId) {
+      return res.status(400).json({
+        error: "repositoryPath, base, and userId are required",
+      });
+    }
+
+    const review = await codeAnalysisService.analyzeRange(
+      repositoryPath,
+      base,
+      head,
+      userId,
+      {
+        perCommit: Boolean(perCommit),
+        changedLinesOnly,
+        contextFindings,
+        verifyFindings,
+        depth,
+        provider,
+        model,
+      }
+    );
+
+    sendQueued(res, review, provider);
+  } catch (error) {
+    console.error("Range analysis error:", error);
+    res.status(500).json({
+      error: error.message || "Failed to analyze range",
+    });
+  }
+});
+
+/**
+ * POST /api/reviews/analyze-diff
+ * Queue analysis of an uploaded unified diff or git format-patch mbox.
+ * Needs no repository on the server; `files` optionally maps paths to
+ * their full contents after the change.
+ */
+router.post("/analyze-diff", validateProvider, async (req, res) => {
+  try {
+    const {
+      diff,
+      files,
+      repositoryName,
+      branch,
+      userId,
+      provider,
+      model,
+      changedLinesOnly,
+      contextFindings,
+      verifyFindings,
+      depth,
+    } = req.body;
+
+    if (!diff || !userId) {
+      return res.status(400).json({
+        error: "diff and userId are required",
+      });
+    }
+
+    if (files && (typeof files !== "object" || Array.isArray(files))) {
+      return res.status(400).json({
+        error: "files must be an object mapping file paths to contents",
+      });
+    }
+
+    const review = await codeAnalysisService.analyzeUploadedDiff(diff, userId, {
+      files,
+      repositoryName,
+      branch,
+      changedLinesOnly,
+      contextFindings,
+      verifyFindings,
+      depth,
+      provider,
+      model,
+    });
+
+    sendQueued(res, review, provider);
+  } catch (error) {
+    console.error("Uploaded diff analysis error:", error);
+    res.status(500).json({
+      error: error.message || "Failed to analyze diff",
+    });
+  }
+});
+
+/**
+ * POST /api/reviews/snippet
+ * Queue a review of a pasted code snippet, without any repository.
+ * `standardIds` optionally selects the standards to apply.
+ */
+router.post("/snippet", validateProvider, async (req, res) => {
+  try {
+    const { code, language, standardIds, fileName, userId, provider, model } =
+      req.body;
+
+    if (!code || !language || !userId) {
+      return res.status(400).json({
+        error: "code, language, and userId are required",
+      });
+    }
+
+    if (
+      !Object.values(codeAnalysisService.supportedExtensions).includes(language)
+    ) {
+      return res.status(400).json({
+        error: `Unsupported language: ${language}`,
+      });
+    }
+
+    if (standardIds !== undefined && !Array.isArray(standardIds)) {
+      return res.status(400).json({
+        error: "standardIds must be an array",
+      });
+    }
+
+    const review = await codeAnalysisService.analyzeSnippet(
+      code,
+      language,
+      userId,
+      { standardIds, fileName, provider, model }
+    );
+
+    sendQueued(res, review, provider);
+  } catch (error) {
+    console.error("Snippet analysis error:", error);
+    res.status(500).json({
+      error: error.message || "Failed to analyze snippet",
+    });
+  }
+});
+
+/**
+ * POST /api/reviews/scan
+ * Queue a baseline scan of a whole repository or one of its directories
+ */
+router.post("/scan", validateProvider, async (req, res) => {
+  try {
+    const {
+      repositoryPath,
+      directory = "",
+      userId,
+      provider,
+      model,
+    } = req.body;
+
+    if (!repositoryPath || !userId) {
+      return res.status(400).json({
+        error: "repositoryPath and userId are required",
+      });
+    }
+
+    const review = await codeAnalysisService.analyzeRepository(
+      repositoryPath,
+      userId,
+      { directory, provider, model }
+    );
+
+    sendQueued(res, review, provider, "Baseline scan queued.");
+  } catch (error) {
+    console.error("Baseline scan error:", error);
+    res.status(500).json({
+      error: error.message || "Failed to scan repository",
+    });
+  }
+});
+
 /**
  * GET /api/reviews
  * Get all reviews for a user
@@ -177,6 +405,163 @@ router.get("/:id", async (req, res) => {
   }
 });
 
+/**
+ * GET /api/reviews/:id/status
+ * Get progress of a queued or running review
+ */
+router.get("/:id/status", async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const review = await prisma.codeReview.findUnique({
+      where: { id },
+      select: {
+        id: true,
+        status: true,
+        filesTotal: true,
+        filesProcessed: true,
+        currentFile: true,
+        issuesFound: true,
+        criticalIssues: true,
+        majorIssues: true,
+        minorIssues: true,
+        tokensUsed: true,
+        cachedTokens: true,
+        failedFiles: true,
+        analysisTime: true,
+        error: true,
+        updatedAt: true,
+      },
+    });
+
+    if (!review) {
+      return res.status(404).json({ error: "Review not found" });
+    }
+
+    const progress =
+      review.status === "COMPLETED"
+        ? 100
+        : review.filesTotal > 0
+        ? Math.round((review.filesProcessed / review.filesTotal) * 100)
+        : 0;
+
+    res.json({
+      success: true,
+      status: review.status,
+      done: review.status === "COMPLETED" || review.status === "FAILED",
+      progress,
+      review,
+    });
+  } catch (error) {
+    console.error("Get review status error:", error);
+    res.status(500).json({ error: "Failed to fetch review status" });
+  }
+});
+
+/**
+ * GET /api/reviews/:id/baseline
+ * Download a baseline file accepting the review's unresolved issues.
+ * Commit it at the repository root to suppress them in later reviews.
+ */
+router.get("/:id/baseline", async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const review = await prisma.codeReview.findUnique({
+      where: { id },
+      include: { issues: { where: { resolved: false } } },
+    });
+
+    if (!review) {
+      return res.status(404).json({ error: "Review not found" });
+    }
+
+    res.attachment(BASELINE_FILE);
+    res.json(suppressionService.buildBaseline(review.issues));
+  } catch (error) {
+    console.error("Get baseline error:", error);
+    res.status(500).json({ error: "Failed to build baseline" });
+  }
+});
+
+/**
+ * GET /api/reviews/:id/events
+ * Stream review progress as Server-Sent Events
+ */
+router.get("/:id/events", async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const review = await prisma.codeReview.findUnique({ where: { id } });
+
+    if (!review) {
+      return res.status(404).json({ error: "Review not found" });
+    }
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+
+    const send = (event) => {
+      res.write(`id: ${event.id}\n`);
+      res.write(`event: ${event.type}\n`);
+      res.write(`data: ${JSON.stringify(event.data)}\n\n`);
+    };
+
+    const lastEventId = parseInt(req.get("Last-Event-ID") || "0") || 0;
+    const history = reviewEvents.getHistory(id, lastEventId);
+
+    // Already finished and nothing left in memory: report the final state
+    if (
+      (review.status === "COMPLETED" || review.status === "FAILED") &&
+      !history.some((e) => reviewEvents.isTerminal(e.type))
+    ) {
+      send({
+        id: 0,
+        type: review.status === "COMPLETED" ? "complete" : "failed",
+        data:
+          review.status === "COMPLETED" ? { review } : { error: review.error },
+      });
+      return res.end();
+    }
+
+    for (const event of history) {
+      send(event);
+      if (reviewEvents.isTerminal(event.type)) {
+        return res.end();
+      }
+    }
+
+    const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), 15000);
+
+    const unsubscribe = reviewEvents.subscribe(id, (event) => {
+      send(event);
+      if (reviewEvents.isTerminal(event.type)) {
+        cleanup();
+        res.end();
+      }
+    });
+
+    const cleanup = () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    };
+
+    req.on("close", cleanup);
+  } catch (error) {
+    console.error("Review events error:", error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: "Failed to stream review events" });
+    } else {
+      res.end();
+    }
+  }
+});
+
 /**
  * POST /api/reviews/:id/comments
  * Add comment to review
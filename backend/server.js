@@ -10,6 +10,8 @@ import standardsRouter from "./routes/standards.js";
 import externalApiRouter from "./routes/external-api.js";
 import aiProviderRouter from "./routes/ai-provider.js";
 import aiService from "./services/aiService.js";
+import jobQueue from "./services/jobQueue.js";
+import analysisCache from "./services/analysisCache.js";
 
 dotenv.config();
 
@@ -19,11 +21,19 @@ const PORT = process.env.PORT || 5000;
 // Export prisma for use in routes
 export { prisma };
 
-// Connect to database
-connectDatabase().catch((err) => {
-  console.error("Failed to connect to database:", err);
-  process.exit(1);
-});
+// Connect to database, then start processing queued reviews
+connectDatabase()
+  .then(() => jobQueue.start())
+  .then(() =>
+    // Cache cleanup is best effort and must not stop the server
+    analysisCache.prune().catch((err) => {
+      console.error("Failed to prune the analysis cache:", err);
+    })
+  )
+  .catch((err) => {
+    console.error("Failed to connect to database:", err);
+    process.exit(1);
+  });
 
 app.set("trust proxy", 1);
 
@@ -1,112 +1,161 @@
-import llmService from "./llmService.js";
-import geminiService from "./geminiService.js";
-
-class AIService {
-  constructor() {
-    // Default to the configured AI provider
-    this.provider = process.env.AI_PROVIDER || "ollama"; // 'ollama' or 'gemini'
-    console.log(`AI Service initialized with provider: ${this.provider}`);
+import providerRegistry from "./providerRegistry.js";
+
+/**
+ * AI calls bound to one provider and model. Each review gets its own, so
+ * concurrent reviews never see each other's choice.
+ */
+class AIClient {
+  constructor(provider, model) {
+    this.provider = provider;
+    this.service = providerRegistry.get(provider).withModel(model);
+    this.model = this.service.model;
   }
 
   /**
-   * Get the active AI service based on configuration
+   * Throw if the service cannot be reached. Reviews call this once
+   * up front instead of health-checking before every file.
    */
-  getService() {
-    if (this.provider === "gemini") {
-      return geminiService;
+  async ensureAvailable() {
+    const health = await this.service.checkHealth();
+    if (health.status === "error") {
+      throw new Error(
+        `${this.provider} is not available: ${health.error || health.message}`
+      );
     }
-    return llmService;
+    return health;
   }
 
   /**
-   * Check health of the active AI service
+   * Maximum number of concurrent analysis calls for the provider
    */
-  async checkHealth() {
-    const service = this.getService();
-    const health = await service.checkHealth();
-    return {
-      ...health,
-      provider: this.provider,
-    };
+  getConcurrency() {
+    return Math.max(1, this.service.concurrency || 1);
   }
 
   /**
-   * Check health of all AI services
+   * Provider, model and prompt version, i.e. the parts of an analysis
+   * cache key that depend on the AI configuration
    */
-  async checkAllHealth() {
-    const ollamaHealth = await llmService.checkHealth();
-    const geminiHealth = await geminiService.checkHealth();
+  getCacheIdentity() {
     return {
-      currentProvider: this.provider,
-      ollama: ollamaHealth,
-      gemini: geminiHealth,
+      provider: this.provider,
+      model: this.model,
+      promptVersion: this.service.promptVersion || 1,
     };
   }
 
   /**
-   * Analyze code using the active AI service
+   * Analyze code. Pass `skipHealthCheck` when the caller already ran
+   * ensureAvailable().
    */
-  async analyzeCode(code, filePath, language, standards = []) {
-    const service = this.getService();
-
-    // Verify the service is available
-    const health = await service.checkHealth();
-    if (health.status === "error") {
-      throw new Error(
-        `${this.provider} is not available: ${health.error || health.message}`
-      );
+  async analyzeCode(code, filePath, language, standards = [], options = {}) {
+    if (!options.skipHealthCheck) {
+      await this.ensureAvailable();
     }
 
-    return await service.analyzeCode(code, filePath, language, standards);
+    return await this.service.analyzeCode(
+      code,
+      filePath,
+      language,
+      standards,
+      options
+    );
   }
 
   /**
-   * Generate fix using the active AI service
+   * One JSON completion, resolving to `{ text, tokensUsed }`. `schema`
+   * constrains the output where the provider supports it.
+   */
+  async generate(prompt, schema) {
+    return await this.service.generate(prompt, schema);
+  }
+
+  /**
+   * Generate a fix for an issue
    */
   async generateFix(code, issue, language) {
-    const service = this.getService();
+    await this.ensureAvailable();
+    return await this.service.generateFix(code, issue, language);
+  }
 
-    // Verify the service is available
-    const health = await service.checkHealth();
-    if (health.status === "error") {
-      throw new Error(
-        `${this.provider} is not available: ${health.error || health.message}`
+  /**
+   * Estimate the effort to fix a list of issues
+   */
+  async estimateEffort(issues) {
+    await this.ensureAvailable();
+    return await this.service.estimateEffort(issues);
+  }
+}
+
+class AIService {
+  constructor() {
+    // Provider for reviews that do not choose one
+    this.provider = process.env.AI_PROVIDER || "ollama"; // any registered provider
+    if (!providerRegistry.has(this.provider)) {
+      console.error(
+        `Unknown AI_PROVIDER "${this.provider}", falling back to ollama`
       );
+      this.provider = "ollama";
     }
+    console.log(`AI Service initialized with provider: ${this.provider}`);
+  }
 
-    return await service.generateFix(code, issue, language);
+  /**
+   * Get the default AI service
+   */
+  getService() {
+    return providerRegistry.get(this.provider);
   }
 
   /**
-   * Estimate effort using the active AI service
+   * Check health of the default AI service
    */
-  async estimateEffort(issues) {
+  async checkHealth() {
     const service = this.getService();
-
-    // Verify the service is available
     const health = await service.checkHealth();
-    if (health.status === "error") {
-      throw new Error(
-        `${this.provider} is not available: ${health.error || health.message}`
-      );
+    return {
+      ...health,
+      provider: this.provider,
+    };
+  }
+
+  /**
+   * Check health of all registered AI services, keyed by provider name
+   */
+  async checkAllHealth() {
+    const health = { currentProvider: this.provider };
+    for (const name of providerRegistry.names()) {
+      health[name] = await providerRegistry.get(name).checkHealth();
     }
+    return health;
+  }
 
-    return await service.estimateEffort(issues);
+  /**
+   * Client for a provider and model, each falling back to the default
+   * provider and that provider's configured model. Throws for unknown
+   * providers.
+   */
+  client({ provider, model } = {}) {
+    return new AIClient(provider || this.provider, model || undefined);
   }
 
   /**
-   * Switch AI provider dynamically
+   * Change the default provider. Reviews that chose a provider keep it.
    */
   setProvider(provider) {
-    if (provider !== "ollama" && provider !== "gemini") {
-      throw new Error('Invalid provider. Must be "ollama" or "gemini"');
+    if (!providerRegistry.has(provider)) {
+      throw new Error(
+        `Invalid provider. Must be one of: ${providerRegistry
+          .names()
+          .join(", ")}`
+      );
     }
     this.provider = provider;
     console.log(`AI provider switched to: ${provider}`);
   }
 
   /**
-   * Get current provider
+   * Get the default provider
    */
   getProvider() {
     return this.provider;
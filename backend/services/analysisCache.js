@@ -0,0 +1,130 @@
+import crypto from "crypto";
+import { prisma } from "../server.js";
+
+/**
+ * Content-addressed cache of LLM analysis results.
+ *
+ * Entries are keyed on everything that can change the model's answer: the
+ * code sent, its language, the standards applied, the provider, the model
+ * and the provider's prompt version. Re-reviewing unchanged code is then
+ * free, and the tokens it would have cost are reported as cached tokens.
+ */
+class AnalysisCache {
+  constructor() {
+    this.enabled = process.env.ANALYSIS_CACHE !== "false";
+    this.ttlDays = parseInt(process.env.ANALYSIS_CACHE_TTL_DAYS || "30");
+  }
+
+  /**
+   * Build the cache key for one analysis request. `pass` is the analysis
+   * pass and `promptExtras` the optional prompt text built from the
+   * review's options and findings.
+   */
+  buildKey({
+    code,
+    language,
+    standards = [],
+    provider,
+    model,
+    promptVersion,
+    pass = null,
+    promptExtras = "",
+  }) {
+    // Hash standards by content so editing a standard invalidates its entries
+    const standardsFingerprint = standards
+      .map((s) => ({
+        name: s.name,
+        description: s.description || "",
+        language: s.language,
+        rules: s.rules || null,
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    return crypto
+      .createHash("sha256")
+      .update(
+        JSON.stringify({
+          code,
+          language,
+          standards: standardsFingerprint,
+          provider,
+          model,
+          promptVersion,
+          pass,
+          promptExtras,
+        })
+      )
+      .digest("hex");
+  }
+
+  /**
+   * Look up a cached analysis. Returns `{ analysis, tokensUsed }` or null.
+   */
+  async get(key) {
+    if (!this.enabled) return null;
+
+    try {
+      const entry = await prisma.analysisCache.findUnique({ where: { key } });
+      if (!entry || this.isExpired(entry)) return null;
+
+      await prisma.analysisCache.update({
+        where: { key },
+        data: { hits: { increment: 1 }, lastUsedAt: new Date() },
+      });
+
+      return { analysis: entry.result, tokensUsed: entry.tokensUsed };
+    } catch (error) {
+      console.error("Analysis cache lookup failed:", error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Store an analysis result
+   */
+  async set(key, { provider, model, analysis, tokensUsed }) {
+    if (!this.enabled) return;
+
+    try {
+      const data = {
+        provider,
+        model,
+        result: analysis,
+        tokensUsed: tokensUsed || 0,
+        createdAt: new Date(),
+        lastUsedAt: new Date(),
+      };
+      await prisma.analysisCache.upsert({
+        where: { key },
+        create: { key, ...data },
+        update: data,
+      });
+    } catch (error) {
+      console.error("Analysis cache write failed:", error.message);
+    }
+  }
+
+  /**
+   * Delete entries that have not been used within the TTL
+   */
+  async prune() {
+    if (!this.enabled) return 0;
+
+    const cutoff = new Date(Date.now() - this.ttlDays * 24 * 60 * 60 * 1000);
+    const { count } = await prisma.analysisCache.deleteMany({
+      where: { lastUsedAt: { lt: cutoff } },
+    });
+
+    if (count > 0) {
+      console.log(`Pruned ${count} expired analysis cache entries`);
+    }
+    return count;
+  }
+
+  isExpired(entry) {
+    const age = Date.now() - new Date(entry.lastUsedAt).getTime();
+    return age > this.ttlDays * 24 * 60 * 60 * 1000;
+  }
+}
+
+export default new AnalysisCache();
@@ -0,0 +1,102 @@
+/**
+ * Specialized analysis passes and the depth profiles that pick them.
+ *
+ * Instead of one prompt asking for every dimension at once, each pass asks
+ * the model about one kind of problem and only accepts findings of its own
+ * categories. A review's depth decides which passes run: "quick" covers
+ * the dimensions that should stop a commit, "deep" runs them all.
+ */
+export const PASSES = {
+  security: {
+    categories: ["security"],
+    focus:
+      "security problems: injection (SQL, command, path, XSS), broken authentication or authorization, secrets or personal data exposed in code, logs or responses, unsafe deserialization, weak cryptography and insecure defaults",
+  },
+  bugs: {
+    categories: ["bug"],
+    focus:
+      "bugs: logic errors, unhandled errors and rejected promises, null or undefined access, off-by-one errors, wrong conditions, race conditions and resource leaks",
+  },
+  performance: {
+    categories: ["performance"],
+    focus:
+      "performance problems: needless work in loops, N+1 queries, blocking calls on hot paths, unbounded memory growth, missing pagination or caching, and inefficient algorithms or data structures",
+  },
+  style: {
+    categories: ["style", "maintainability"],
+    focus:
+      "style and maintainability problems: violations of the coding standards, unclear names, duplicated code, overly long or deeply nested functions, dead code and magic values",
+  },
+  testing: {
+    categories: ["testing"],
+    focus:
+      "testing problems: changed behavior without tests, untestable code (hidden dependencies, global state, hard-coded time or randomness), and weak or missing assertions in test code",
+  },
+  architecture: {
+    categories: ["architecture"],
+    focus:
+      "architecture problems: responsibilities in the wrong layer, tight coupling between modules, circular dependencies, leaky abstractions and designs that will not scale",
+  },
+  documentation: {
+    categories: ["documentation"],
+    focus:
+      "documentation problems: public functions, classes and modules without doc comments, comments that no longer match the code, and missing explanations of non-obvious decisions",
+  },
+  "ci-cd": {
+    categories: ["ci-cd"],
+    focus:
+      "CI/CD and deployment problems: build and pipeline configuration, environment-specific values, missing configuration for new settings, container and infrastructure definitions, and changes that break deployments or migrations",
+  },
+};
+
+// Passes per depth, for source code and for infrastructure files
+export const DEPTH_PROFILES = {
+  quick: {
+    code: ["security", "bugs"],
+    infrastructure: ["security", "ci-cd"],
+  },
+  deep: {
+    code: Object.keys(PASSES),
+    infrastructure: ["security", "bugs", "ci-cd"],
+  },
+};
+
+export const DEPTHS = Object.keys(DEPTH_PROFILES);
+
+/**
+ * Passes to run for a file at a depth, leaving out passes whose
+ * categories the repository's `dimensions` exclude. When that leaves no
+ * pass of the profile, the matching passes of the deep profile run.
+ */
+export function getPasses(depth, { infrastructure = false, dimensions } = {}) {
+  const kind = infrastructure ? "infrastructure" : "code";
+  const matching = (passes) =>
+    passes.filter(
+      (pass) =>
+        !dimensions ||
+        PASSES[pass].categories.some((category) =>
+          dimensions.includes(category)
+        )
+    );
+
+  const passes = matching((DEPTH_PROFILES[depth] || DEPTH_PROFILES.deep)[kind]);
+  return passes.length > 0 ? passes : matching(DEPTH_PROFILES.deep[kind]);
+}
+
+/**
+ * The instructions of one pass for the analysis prompt. Without a pass
+ * the prompt covers every dimension.
+ */
+export function describePass(pass) {
+  const { categories, focus } = PASSES[pass] || {
+    categories: [
+      ...new Set(Object.values(PASSES).flatMap((p) => p.categories)),
+    ],
+    focus: "any kind of problem",
+  };
+  return {
+    focus,
+    categories,
+    categoryList: categories.map((c) => `"${c}"`).join(" | "),
+  };
+}
@@ -0,0 +1,254 @@
+import { DIMENSIONS } from "./repoConfig.js";
+
+/**
+ * Schema of the analysis response every provider must return, and the
+ * validate-and-repair loop around a provider's raw generation call.
+ *
+ * A response that is not valid JSON or does not match the schema is never
+ * read as "no issues": the model is asked again with the validation errors,
+ * and the analysis fails once the attempts run out.
+ */
+const SEVERITIES = ["CRITICAL", "MAJOR", "MINOR", "INFO"];
+const RECOMMENDATION_KINDS = [
+  "documentation",
+  "testing",
+  "architecture",
+  "cicd",
+];
+
+// Plain JSON schema, also passed to Ollama's `format` structured output
+export const ANALYSIS_SCHEMA = {
+  type: "object",
+  properties: {
+    issues: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          line: { type: "integer" },
+          lineEnd: { type: "integer" },
+          severity: { type: "string", enum: SEVERITIES },
+          category: { type: "string", enum: DIMENSIONS },
+          title: { type: "string" },
+          description: { type: "string" },
+          suggestion: { type: "string" },
+          autoFixable: { type: "boolean" },
+          standard: { type: "string" },
+          documentationNeeded: { type: "string" },
+        },
+        required: ["line", "severity", "category", "title", "description"],
+      },
+    },
+    recommendations: {
+      type: "object",
+      properties: Object.fromEntries(
+        RECOMMENDATION_KINDS.map((kind) => [
+          kind,
+          { type: "array", items: { type: "string" } },
+        ])
+      ),
+    },
+  },
+  required: ["issues"],
+};
+
+/**
+ * The JSON object in a model response, tolerating markdown fences and
+ * surrounding prose. Throws when there is none or it does not parse.
+ */
+export function extractJson(response) {
+  const text = (response || "").trim();
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+  const candidate = fenced
+    ? fenced[1]
+    : text.slice(text.indexOf("{"), text.lastIndexOf("}") + 1);
+
+  if (!candidate) {
+    throw new Error("the response contains no JSON object");
+  }
+  try {
+    return JSON.parse(candidate);
+  } catch (error) {
+    throw new Error(`the response is not valid JSON (${error.message})`);
+  }
+}
+
+/**
+ * Schema violations of a parsed response, as readable messages naming the
+ * offending path. Empty when the response is valid.
+ */
+export function validateAnalysis(data) {
+  const errors = [];
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return ["the response must be a JSON object"];
+  }
+  if (!Array.isArray(data.issues)) {
+    errors.push('"issues" must be an array (use [] when there are none)');
+  }
+
+  const isText = (value) => typeof value === "string" && value.trim() !== "";
+  const optionalText = (value) =>
+    value === undefined || value === null || typeof value === "string";
+
+  (Array.isArray(data.issues) ? data.issues : []).forEach((issue, index) => {
+    const at = `issues[${index}]`;
+    if (!issue || typeof issue !== "object" || Array.isArray(issue)) {
+      errors.push(`${at} must be an object`);
+      return;
+    }
+    if (!Number.isInteger(issue.line) || issue.line < 1) {
+      errors.push(`${at}.line must be a line number from the code`);
+    }
+    if (
+      issue.lineEnd !== undefined &&
+      issue.lineEnd !== null &&
+      (!Number.isInteger(issue.lineEnd) || issue.lineEnd < 1)
+    ) {
+      errors.push(`${at}.lineEnd must be a line number from the code`);
+    }
+    if (!SEVERITIES.includes(issue.severity)) {
+      errors.push(`${at}.severity must be one of ${SEVERITIES.join(", ")}`);
+    }
+    if (!DIMENSIONS.includes(issue.category)) {
+      errors.push(`${at}.category must be one of ${DIMENSIONS.join(", ")}`);
+    }
+    for (const key of ["title", "description"]) {
+      if (!isText(issue[key])) errors.push(`${at}.${key} must be a string`);
+    }
+    for (const key of ["suggestion", "standard", "documentationNeeded"]) {
+      if (!optionalText(issue[key])) {
+        errors.push(`${at}.${key} must be a string`);
+      }
+    }
+    if (
+      issue.autoFixable !== undefined &&
+      typeof issue.autoFixable !== "boolean"
+    ) {
+      errors.push(`${at}.autoFixable must be true or false`);
+    }
+  });
+
+  const recommendations = data.recommendations;
+  if (recommendations !== undefined && recommendations !== null) {
+    if (typeof recommendations !== "object" || Array.isArray(recommendations)) {
+      errors.push('"recommendations" must be an object');
+    } else {
+      for (const kind of RECOMMENDATION_KINDS) {
+        const list = recommendations[kind];
+        if (
+          list !== undefined &&
+          !(Array.isArray(list) && list.every((r) => typeof r === "string"))
+        ) {
+          errors.push(`recommendations.${kind} must be a list of strings`);
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * A validated response in the shape the review pipeline reads
+ */
+export function normalizeAnalysis(data) {
+  const issues = data.issues.map((issue) => ({
+    line: issue.line,
+    lineEnd: issue.lineEnd || issue.line,
+    severity: issue.severity,
+    category: issue.category,
+    title: issue.title,
+    description: issue.description,
+    suggestion: issue.suggestion || "",
+    autoFixable: Boolean(issue.autoFixable),
+    standard: issue.standard || null,
+    documentationNeeded: issue.documentationNeeded || null,
+  }));
+
+  return {
+    issues,
+    summary: {
+      critical: issues.filter((i) => i.severity === "CRITICAL").length,
+      major: issues.filter((i) => i.severity === "MAJOR").length,
+      minor: issues.filter((i) => i.severity === "MINOR").length,
+      info: issues.filter((i) => i.severity === "INFO").length,
+    },
+    recommendations: Object.fromEntries(
+      RECOMMENDATION_KINDS.map((kind) => [
+        kind,
+        data.recommendations?.[kind] || [],
+      ])
+    ),
+  };
+}
+
+/**
+ * Prompt asking the model to correct a rejected response
+ */
+export function buildRepairPrompt(prompt, response, errors) {
+  return `${prompt}
+
+Your previous response was rejected:
+\`\`\`
+${(response || "").slice(0, 4000)}
+\`\`\`
+
+Problems found:
+${errors.map((e) => `- ${e}`).join("\n")}
+
+Respond again with ONLY the corrected JSON object in the format above.`;
+}
+
+/**
+ * Run `generate(prompt)` (resolving to `{ text, tokensUsed }`) until its
+ * response validates, re-prompting with the errors up to `attempts` times
+ * in total. Resolves to `{ analysis, tokensUsed, rawResponse, attempts }`;
+ * throws with the last errors when no attempt was valid, with the tokens
+ * all attempts used as the error's `tokensUsed`.
+ */
+export async function generateValidatedAnalysis(generate, prompt, attempts) {
+  let tokensUsed = 0;
+  let currentPrompt = prompt;
+  let errors = [];
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    let result;
+    try {
+      result = await generate(currentPrompt);
+    } catch (error) {
+      error.tokensUsed = tokensUsed;
+      throw error;
+    }
+    tokensUsed += result.tokensUsed || 0;
+
+    try {
+      const data = extractJson(result.text);
+      errors = validateAnalysis(data);
+      if (errors.length === 0) {
+        return {
+          analysis: normalizeAnalysis(data),
+          tokensUsed,
+          rawResponse: result.text,
+          attempts: attempt,
+        };
+      }
+    } catch (error) {
+      errors = [error.message];
+    }
+
+    console.warn(
+      `Invalid analysis response (attempt ${attempt} of ${attempts}):`,
+      errors.slice(0, 5).join("; ")
+    );
+    currentPrompt = buildRepairPrompt(prompt, result.text, errors);
+  }
+
+  const error = new Error(
+    `No valid analysis after ${attempts} attempts: ${errors
+      .slice(0, 3)
+      .join("; ")}`
+  );
+  // The failed attempts were still paid for
+  error.tokensUsed = tokensUsed;
+  throw error;
+}
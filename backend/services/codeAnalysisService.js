@@ -2,13 +2,34 @@ import simpleGit from "simple-git";
 import parseDiff from "parse-diff";
 import path from "path";
 import fs from "fs/promises";
+import crypto from "crypto";
 import { promisify } from "util";
 import { exec } from "child_process";
 import aiService from "./aiService.js";
+import providerRegistry from "./providerRegistry.js";
+import jobQueue from "./jobQueue.js";
+import reviewEvents from "./reviewEvents.js";
+import { runWithConcurrency } from "./workerPool.js";
+import analysisCache from "./analysisCache.js";
+import lintService from "./lintService.js";
+import ruleEngine from "./ruleEngine.js";
+import secretScanner from "./secretScanner.js";
+import suppressionService, { BASELINE_FILE } from "./suppressionService.js";
+import repoConfig, { CONFIG_FILES } from "./repoConfig.js";
+import languageDetector from "./languageDetector.js";
+import migrationAnalyzer from "./migrationAnalyzer.js";
+import testGapDetector from "./testGapDetector.js";
+import contextBuilder from "./contextBuilder.js";
+import findingVerifier from "./findingVerifier.js";
+import { buildPromptExtras } from "./promptSections.js";
+import { PASSES, DEPTHS, getPasses } from "./analysisPasses.js";
 import { prisma } from "../server.js";
 
 const execAsync = promisify(exec);
 
+// Repository path of uploads that do not name their repository
+const UNNAMED_UPLOAD_PATH = "(uploaded diff)";
+
 class CodeAnalysisService {
   constructor() {
     this.supportedExtensions = {
@@ -26,473 +47,1737 @@ class CodeAnalysisService {
       ".php": "php",
       ".rs": "rust",
     };
+
+    // Paths that baseline scans never analyze (vendored or build output)
+    this.generatedPathPatterns = [
+      /(^|\/)node_modules\//,
+      /(^|\/)(dist|build|out|coverage|vendor|generated|__generated__)\//,
+      /\.min\.[a-z]+$/,
+      /\.bundle\.[a-z]+$/,
+      /\.(generated|gen|pb)\.[a-z]+$/,
+    ];
+    this.scanChunkLines = parseInt(process.env.SCAN_CHUNK_LINES || "150");
+    this.scanMaxFileBytes = parseInt(
+      process.env.SCAN_MAX_FILE_BYTES || "200000"
+    );
+    // Context lines taken from uploaded file contents around each change
+    this.uploadContextLines = parseInt(
+      process.env.UPLOAD_CONTEXT_LINES || "10"
+    );
+
+    jobQueue.registerHandler("review", (job) => this.runReviewJob(job));
+    jobQueue.registerHandler("scan", (job) => this.runScanJob(job));
   }
 
   /**
-   * Analyze staged changes in a repository
+   * Queue a review of the staged changes in a repository
    */
-  async analyzeStagedChanges(repositoryPath, userId) {
-    const startTime = Date.now();
+  async analyzeStagedChanges(repositoryPath, userId, options = {}) {
     const git = simpleGit(repositoryPath);
 
+    // Check if there are staged changes
+    const status = await git.status();
+    if (status.staged.length === 0 && status.modified.length === 0) {
+      throw new Error(
+        "No staged or modified changes found. Please stage your changes first using 'git add'."
+      );
+    }
+
+    // Get current branch
+    const branch = await git.branchLocal();
+    const currentBranch = branch.current;
+
+    // Get diff of staged changes (or all changes if nothing staged)
+    let diff;
+    if (status.staged.length > 0) {
+      diff = await git.diff(["--cached"]);
+    } else {
+      // If nothing is staged, analyze modified files
+      diff = await git.diff();
+    }
+
+    if (!diff || diff.trim() === "") {
+      throw new Error(
+        "No changes detected in the diff. Please make sure you have uncommitted changes."
+      );
+    }
+
+    // Create review record and hand the captured diff to the job queue
+    const review = await prisma.codeReview.create({
+      data: {
+        userId,
+        repositoryPath,
+        branch: currentBranch,
+        status: "PENDING",
+        options: this.normalizeReviewOptions(options),
+      },
+    });
+
+    reviewEvents.publish(review.id, "status", { status: "PENDING" });
+    await jobQueue.enqueue("review", review.id, { diff });
+
+    return review;
+  }
+
+  /**
+   * Queue a review of a specific commit
+   */
+  async analyzeCommit(repositoryPath, commitHash, userId, options = {}) {
+    const git = simpleGit(repositoryPath);
+
+    // Verify commit exists
     try {
-      // Check if there are staged changes
-      const status = await git.status();
-      if (status.staged.length === 0 && status.modified.length === 0) {
-        throw new Error(
-          "No staged or modified changes found. Please stage your changes first using 'git add'."
-        );
+      await git.show([commitHash, "--format=%H"]);
+    } catch (error) {
+      throw new Error(`Commit ${commitHash} not found in repository`);
+    }
+
+    const branch = await git.branchLocal();
+    const currentBranch = branch.current;
+
+    // Get diff for specific commit
+    const diff = await git.show([commitHash, "--format="]);
+
+    if (!diff || diff.trim() === "") {
+      throw new Error("No changes found in commit");
+    }
+
+    const review = await prisma.codeReview.create({
+      data: {
+        userId,
+        repositoryPath,
+        branch: currentBranch,
+        commitHash,
+        type: "COMMIT",
+        status: "PENDING",
+        options: this.normalizeReviewOptions(options),
+      },
+    });
+
+    reviewEvents.publish(review.id, "status", { status: "PENDING" });
+    await jobQueue.enqueue("review", review.id, { diff });
+
+    return review;
+  }
+
+  /**
+   * Queue a review of a commit range: everything on `head` since its merge
+   * base with `base` (what a pull request from head into base would show).
+   * With `perCommit`, each commit is analyzed separately and the results
+   * are broken down per commit.
+   */
+  async analyzeRange(repositoryPath, base, head, userId, options = {}) {
+    const { perCommit = false } = options;
+    const git = simpleGit(repositoryPath);
+
+    // Resolve both refs so the review records exactly what was compared
+    const resolveRef = async (ref) => {
+      try {
+        return (await git.revparse(["--verify", `${ref}^{commit}`])).trim();
+      } catch (error) {
+        throw new Error(`Ref ${ref} not found in repository`);
       }
+    };
+    const baseHash = await resolveRef(base);
+    const headHash = await resolveRef(head);
 
-      // Get current branch
-      const branch = await git.branchLocal();
-      const currentBranch = branch.current;
+    let mergeBase;
+    try {
+      mergeBase = (await git.raw(["merge-base", baseHash, headHash])).trim();
+    } catch (error) {
+      throw new Error(`No common ancestor found between ${base} and ${head}`);
+    }
 
-      // Create review record
-      const review = await prisma.codeReview.create({
-        data: {
-          userId,
-          repositoryPath,
-          branch: currentBranch,
-          status: "IN_PROGRESS",
-        },
-      });
+    const diff = await git.diff([mergeBase, headHash]);
 
-      // Get diff of staged changes (or all changes if nothing staged)
-      let diff;
-      if (status.staged.length > 0) {
-        diff = await git.diff(["--cached"]);
-      } else {
-        // If nothing is staged, analyze modified files
-        diff = await git.diff();
+    if (!diff || diff.trim() === "") {
+      throw new Error(`No changes found between ${base} and ${head}`);
+    }
+
+    let commits;
+    if (perCommit) {
+      const log = await git.raw([
+        "log",
+        "--reverse",
+        "--no-merges",
+        "--format=%H%x09%s",
+        `${mergeBase}..${headHash}`,
+      ]);
+
+      commits = [];
+      for (const line of log.split("\n").filter(Boolean)) {
+        const [hash, ...subject] = line.split("\t");
+        commits.push({
+          hash,
+          subject: subject.join("\t"),
+          diff: await git.show([hash, "--format="]),
+        });
       }
+    }
 
-      if (!diff || diff.trim() === "") {
-        throw new Error(
-          "No changes detected in the diff. Please make sure you have uncommitted changes."
-        );
+    const review = await prisma.codeReview.create({
+      data: {
+        userId,
+        repositoryPath,
+        branch: head,
+        commitHash: headHash,
+        type: "RANGE",
+        baseRef: base,
+        headRef: head,
+        mergeBase,
+        status: "PENDING",
+        options: this.normalizeReviewOptions(options),
+      },
+    });
+
+    reviewEvents.publish(review.id, "status", { status: "PENDING" });
+    await jobQueue.enqueue(
+      "review",
+      review.id,
+      commits ? { commits } : { diff }
+    );
+
+    return review;
+  }
+
+  /**
+   * Queue a review of an uploaded unified diff or `git format-patch` mbox,
+   * for when the server has no access to the repository. `files` optionally
+   * maps file paths to their full contents after the change; they widen the
+   * context sent around each hunk.
+   */
+  async analyzeUploadedDiff(diff, userId, options = {}) {
+    const { files = {}, repositoryName, branch } = options;
+
+    if (!diff || diff.trim() === "") {
+      throw new Error("Uploaded diff is empty");
+    }
+
+    // A format-patch mbox is reviewed patch by patch, like a range review
+    const patches = this.splitMbox(diff);
+    const diffs = patches.length > 0 ? patches.map((p) => p.diff) : [diff];
+
+    if (diffs.every((d) => parseDiff(d).length === 0)) {
+      throw new Error(
+        "No file changes found. Upload a unified diff or a git format-patch mbox."
+      );
+    }
+
+    const review = await prisma.codeReview.create({
+      data: {
+        userId,
+        repositoryPath: repositoryName || UNNAMED_UPLOAD_PATH,
+        branch: branch || "(uploaded)",
+        commitHash:
+          patches.length > 0 ? patches[patches.length - 1].hash : undefined,
+        type: "UPLOAD",
+        status: "PENDING",
+        options: this.normalizeReviewOptions(options),
+      },
+    });
+
+    reviewEvents.publish(review.id, "status", { status: "PENDING" });
+    await jobQueue.enqueue(
+      "review",
+      review.id,
+      patches.length > 0 ? { commits: patches, files } : { diff, files }
+    );
+
+    return review;
+  }
+
+  /**
+   * Queue a review of a pasted code snippet, outside any repository.
+   * `standardIds` restricts the review to the selected standards.
+   */
+  async analyzeSnippet(code, language, userId, options = {}) {
+    const extension = Object.keys(this.supportedExtensions).find(
+      (ext) => this.supportedExtensions[ext] === language
+    );
+    if (!extension) {
+      throw new Error(`Unsupported language: ${language}`);
+    }
+
+    if (!code || code.trim().length < 10) {
+      throw new Error("Snippet is too short to review");
+    }
+
+    const review = await prisma.codeReview.create({
+      data: {
+        userId,
+        repositoryPath: "(snippet)",
+        branch: "(snippet)",
+        type: "SNIPPET",
+        status: "PENDING",
+        // The whole snippet is under review, so there is no context to filter
+        options: this.normalizeReviewOptions({
+          ...options,
+          changedLinesOnly: false,
+        }),
+      },
+    });
+
+    reviewEvents.publish(review.id, "status", { status: "PENDING" });
+    await jobQueue.enqueue("review", review.id, {
+      snippet: {
+        code,
+        language,
+        filePath: options.fileName || `snippet${extension}`,
+      },
+    });
+
+    return review;
+  }
+
+  /**
+   * Split a `git format-patch` mbox into `{ hash, subject, diff }` patches.
+   * Returns an empty array when the text is a plain diff.
+   */
+  splitMbox(text) {
+    const starts = [...text.matchAll(/^From ([0-9a-f]{40}) /gm)];
+
+    return starts.map((match, i) => {
+      const end = i + 1 < starts.length ? starts[i + 1].index : text.length;
+      const message = text.slice(match.index, end);
+
+      // Headers end at the first blank line; Subject may be folded
+      const headers = message
+        .split(/\r?\n\r?\n/)[0]
+        .replace(/\r?\n[ \t]+/g, " ");
+      const subject = (headers.match(/^Subject: (.*)$/m)?.[1] || "")
+        .replace(/^\[PATCH[^\]]*\]\s*/, "")
+        .trim();
+
+      // The patch body runs from the first file header to the signature
+      const diffStart = message.search(/^diff --git /m);
+      let patch = diffStart === -1 ? "" : message.slice(diffStart);
+      const signature = patch.search(/^-- $/m);
+      if (signature !== -1) {
+        patch = patch.slice(0, signature);
       }
 
-      const parsedDiff = parseDiff(diff);
+      return { hash: match[1], subject, diff: patch };
+    });
+  }
 
-      if (parsedDiff.length === 0) {
-        throw new Error(
-          "Unable to parse diff. Please check if there are valid code changes."
-        );
+  /**
+   * Fill in per-review options from the request, falling back to env
+   * defaults. Stored on the review so the background job applies them.
+   */
+  normalizeReviewOptions(options = {}) {
+    const changedLinesOnly =
+      options.changedLinesOnly !== undefined
+        ? Boolean(options.changedLinesOnly)
+        : process.env.CHANGED_LINES_ONLY === "true";
+
+    const normalized = {
+      changedLinesOnly,
+      // Which analysis passes run: "quick" or "deep". Commit hooks ask
+      // for "quick" themselves.
+      depth: DEPTHS.includes(options.depth)
+        ? options.depth
+        : DEPTHS.includes(process.env.REVIEW_DEPTH)
+        ? process.env.REVIEW_DEPTH
+        : "deep",
+      // Re-check CRITICAL and MAJOR AI findings in a second pass
+      verifyFindings:
+        options.verifyFindings !== undefined
+          ? Boolean(options.verifyFindings)
+          : process.env.VERIFY_FINDINGS === "true",
+      // What to do with findings that only touch unchanged context lines
+      contextFindings:
+        options.contextFindings === "drop" ? "drop" : "downgrade",
+    };
+
+    // An explicit (even empty) selection replaces the active standards
+    if (Array.isArray(options.standardIds)) {
+      normalized.standardIds = options.standardIds.map(String);
+    }
+
+    // AI provider and model chosen for this review; unset falls back to
+    // the repository configuration and then the server default
+    if (typeof options.provider === "string" && options.provider) {
+      normalized.provider = options.provider;
+    }
+    if (typeof options.model === "string" && options.model) {
+      normalized.model = options.model;
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Queue a baseline scan of a whole repository, or one directory of it.
+   * Unlike the diff-based modes this analyzes existing code, so teams can
+   * see the technical debt they start from.
+   */
+  async analyzeRepository(repositoryPath, userId, options = {}) {
+    const { directory = "" } = options;
+    const git = simpleGit(repositoryPath);
+
+    if (!(await git.checkIsRepo())) {
+      throw new Error(`${repositoryPath} is not a git repository`);
+    }
+
+    const root = path.resolve(repositoryPath);
+    const scanRoot = path.resolve(root, directory);
+    if (scanRoot !== root && !scanRoot.startsWith(root + path.sep)) {
+      throw new Error("directory must be inside the repository");
+    }
+
+    try {
+      const stat = await fs.stat(scanRoot);
+      if (!stat.isDirectory()) {
+        throw new Error();
+      }
+    } catch (error) {
+      throw new Error(`Directory ${directory} not found in repository`);
+    }
+
+    const files = await this.listScanFiles(repositoryPath, directory);
+    if (files.length === 0) {
+      throw new Error(
+        "No supported files found to scan. Generated and git-ignored files are skipped."
+      );
+    }
+
+    const branch = await git.branchLocal();
+    let headHash = null;
+    try {
+      headHash = (await git.revparse(["HEAD"])).trim();
+    } catch (error) {
+      // Repository without commits: scan the working tree anyway
+    }
+
+    const review = await prisma.codeReview.create({
+      data: {
+        userId,
+        repositoryPath,
+        branch: branch.current,
+        commitHash: headHash,
+        type: "BASELINE",
+        scanPath: directory || null,
+        status: "PENDING",
+        options: this.normalizeReviewOptions(options),
+      },
+    });
+
+    reviewEvents.publish(review.id, "status", { status: "PENDING" });
+    await jobQueue.enqueue("scan", review.id, { directory });
+
+    return review;
+  }
+
+  /**
+   * Language of a file from its extension, including the repository
+   * configuration's extra mappings, or else from its path or the shebang
+   * on its first line (infrastructure files and scripts)
+   */
+  getLanguage(filePath, config = {}, firstLine = "") {
+    const ext = path.extname(filePath);
+    return (
+      config.languages?.[ext] ||
+      this.supportedExtensions[ext] ||
+      languageDetector.detect(filePath, firstLine)
+    );
+  }
+
+  /**
+   * First line of a changed file, from the diff or the file itself
+   */
+  async getFirstLine(file, source) {
+    const first = this.extractChangedCode(file).find((l) => l.line === 1);
+    if (first) return first.content;
+    const content = await this.readRepositoryFile(file.to, source);
+    return content?.split("\n", 1)[0] || "";
+  }
+
+  /**
+   * Review configuration of a repository, from the first config file found
+   * in `source` (see readRepositoryFile). Empty when there is none.
+   */
+  async loadRepoConfig(source) {
+    for (const fileName of CONFIG_FILES) {
+      const text = await this.readRepositoryFile(fileName, source);
+      if (text !== undefined) {
+        return repoConfig.parse(text, fileName, providerRegistry.names());
+      }
+    }
+    return {};
+  }
+
+  /**
+   * A file of the repository: uploaded in `files`, read from
+   * `revision` ("" for the index), or from the working tree when no
+   * revision is given. Undefined when it does not exist.
+   */
+  async readRepositoryFile(fileName, { files = {}, repositoryPath, revision }) {
+    if (typeof files[fileName] === "string") return files[fileName];
+    if (!repositoryPath) return undefined;
+
+    try {
+      return revision === undefined
+        ? await fs.readFile(path.join(repositoryPath, fileName), "utf-8")
+        : await simpleGit(repositoryPath).show([`${revision}:${fileName}`]);
+    } catch (error) {
+      return undefined;
+    }
+  }
+
+  /**
+   * Every file of the repository at `revision` ("" for the index), for
+   * lookups such as related tests. Null when the repository is not
+   * available (uploaded reviews only carry the changed files).
+   */
+  async listRepositoryFiles({ repositoryPath, revision }) {
+    if (!repositoryPath || revision === undefined) return null;
+
+    try {
+      const git = simpleGit(repositoryPath);
+      const output = revision
+        ? await git.raw(["ls-tree", "-r", "-z", "--name-only", revision])
+        : await git.raw(["ls-files", "-z", "--cached"]);
+      return new Set(output.split("\0").filter(Boolean));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Signatures and doc comments of the symbols a unit imports from other
+   * files of the repository. Commit-by-commit units read the files as of
+   * their commit.
+   */
+  async getRelatedCode(unit, source, contextFiles) {
+    if (!source) return [];
+
+    const fileSource = {
+      ...source,
+      revision: unit.commit?.hash ?? source.revision,
+    };
+    const key = fileSource.revision ?? "";
+    if (!contextFiles.has(key)) contextFiles.set(key, new Map());
+
+    try {
+      return await contextBuilder.build(
+        unit,
+        (fileName) => this.readRepositoryFile(fileName, fileSource),
+        contextFiles.get(key)
+      );
+    } catch (error) {
+      console.error(
+        `Failed to build context for ${unit.filePath}:`,
+        error.message
+      );
+      return [];
+    }
+  }
+
+  /**
+   * List tracked and untracked (but not ignored) files eligible for a scan
+   */
+  async listScanFiles(repositoryPath, directory = "", config = {}) {
+    const git = simpleGit(repositoryPath);
+    const output = await git.raw([
+      "ls-files",
+      "-z",
+      "--cached",
+      "--others",
+      "--exclude-standard",
+      "--",
+      directory || ".",
+    ]);
+
+    const files = [...new Set(output.split("\0").filter(Boolean))];
+    return files.filter(
+      (filePath) =>
+        // Extensionless files may be scripts; their shebang decides later
+        (this.getLanguage(filePath, config) || path.extname(filePath) === "") &&
+        repoConfig.isIncluded(filePath, config) &&
+        !this.generatedPathPatterns.some((pattern) => pattern.test(filePath))
+    );
+  }
+
+  /**
+   * Whether file content declares itself as generated code
+   */
+  isGeneratedContent(content) {
+    const header = content.split("\n").slice(0, 5).join("\n");
+    return /@generated|do not edit|auto-?generated/i.test(header);
+  }
+
+  /**
+   * Mark a review as failed and notify stream subscribers
+   */
+  async failReview(reviewId, error) {
+    console.error(`Review ${reviewId} failed:`, error.message);
+    reviewEvents.publish(reviewId, "failed", { error: error.message });
+    await prisma.codeReview.update({
+      where: { id: reviewId },
+      data: {
+        status: "FAILED",
+        currentFile: null,
+        error: error.message,
+      },
+    });
+  }
+
+  /**
+   * Drop what an earlier attempt of a review's job saved, so a re-queued
+   * job starts from an empty review instead of adding to it. Issues of
+   * earlier reviews it marked as fixed are reopened; the retry marks them
+   * again.
+   */
+  async resetReview(reviewId) {
+    await prisma.codeIssue.deleteMany({ where: { reviewId } });
+    await prisma.codeIssue.updateMany({
+      where: { fixedInReviewId: reviewId },
+      data: { fixedInReviewId: null, resolved: false },
+    });
+    await prisma.codeReview.update({
+      where: { id: reviewId },
+      data: {
+        filesProcessed: 0,
+        filesAnalyzed: 0,
+        issuesFound: 0,
+        criticalIssues: 0,
+        majorIssues: 0,
+        minorIssues: 0,
+        newIssues: 0,
+        persistingIssues: 0,
+        fixedIssues: 0,
+        tokensUsed: 0,
+        cachedTokens: 0,
+        currentFile: null,
+        error: null,
+      },
+    });
+  }
+
+  /**
+   * Job queue handler: read the files of a baseline scan and analyze them
+   * chunk by chunk
+   */
+  async runScanJob(job) {
+    const startTime = Date.now();
+
+    try {
+      await this.resetReview(job.reviewId);
+      const review = await prisma.codeReview.findUnique({
+        where: { id: job.reviewId },
+      });
+      const source = { repositoryPath: review.repositoryPath };
+      const config = await this.loadRepoConfig(source);
+      const files = await this.listScanFiles(
+        review.repositoryPath,
+        job.payload.directory,
+        config
+      );
+
+      const units = [];
+      for (const filePath of files) {
+        let content;
+        try {
+          const fullPath = path.join(review.repositoryPath, filePath);
+          const stat = await fs.stat(fullPath);
+          if (stat.size > this.scanMaxFileBytes) {
+            reviewEvents.publish(job.reviewId, "file-skipped", {
+              file: filePath,
+              reason: "too-large",
+            });
+            continue;
+          }
+          content = await fs.readFile(fullPath, "utf-8");
+        } catch (error) {
+          // Tracked in the index but deleted from the working tree
+          continue;
+        }
+
+        if (this.isGeneratedContent(content)) {
+          reviewEvents.publish(job.reviewId, "file-skipped", {
+            file: filePath,
+            reason: "generated",
+          });
+          continue;
+        }
+
+        const lines = content.split("\n");
+        const language = this.getLanguage(filePath, config, lines[0]);
+        if (!language) continue;
+        for (let i = 0; i < lines.length; i += this.scanChunkLines) {
+          const chunk = lines
+            .slice(i, i + this.scanChunkLines)
+            .map((content, j) => ({
+              line: i + j + 1,
+              content,
+              type: "context",
+            }));
+          if (this.joinLines(chunk).trim().length < 10) continue;
+          units.push({ filePath, language, lines: chunk, content });
+        }
       }
 
-      // Load active coding standards
-      const standards = await this.getActiveStandards();
+      if (units.length === 0) {
+        throw new Error("No analyzable files found to scan");
+      }
 
-      let totalTokens = 0;
-      const allIssues = [];
-      const allRecommendations = {
-        documentation: [],
-        testing: [],
-        architecture: [],
-        cicd: [],
+      const baseline = await this.readRepositoryFile(BASELINE_FILE, source);
+      return await this.analyzeUnits(job.reviewId, units, startTime, {
+        baseline: suppressionService.parseBaseline(baseline),
+        config,
+        source,
+      });
+    } catch (error) {
+      if (jobQueue.isLastAttempt(job)) {
+        await this.failReview(job.reviewId, error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Job queue handler: run the analysis for a queued review
+   */
+  async runReviewJob(job) {
+    try {
+      await this.resetReview(job.reviewId);
+      const { diff, commits, files, snippet } = job.payload;
+
+      if (snippet) {
+        const lines = snippet.code
+          .split(/\r?\n/)
+          .map((content, i) => ({ line: i + 1, content, type: "add" }));
+        return await this.analyzeUnits(job.reviewId, [
+          {
+            filePath: snippet.filePath,
+            language: snippet.language,
+            lines,
+            content: snippet.code,
+          },
+        ]);
+      }
+
+      const segments = commits
+        ? commits.map((c) => ({
+            diff: c.diff,
+            commit: { hash: c.hash, subject: c.subject },
+          }))
+        : [{ diff }];
+
+      // The lint pass reads whole files from the reviewed revision
+      // (the index for staged reviews)
+      const review = await prisma.codeReview.findUnique({
+        where: { id: job.reviewId },
+      });
+      const revision = {
+        STAGED: "",
+        COMMIT: review.commitHash,
+        RANGE: review.commitHash,
+      }[review.type];
+
+      const source = {
+        files,
+        repositoryPath:
+          revision === undefined ? undefined : review.repositoryPath,
+        revision,
       };
+      return await this.processDiff(job.reviewId, segments, {
+        ...source,
+        config: await this.loadRepoConfig(source),
+      });
+    } catch (error) {
+      if (jobQueue.isLastAttempt(job)) {
+        await this.failReview(job.reviewId, error);
+      }
+      throw error;
+    }
+  }
 
-      let filesAnalyzed = 0;
+  /**
+   * Analyze every supported file in one or more diffs and record per-file
+   * progress. Each segment is `{ diff, commit }`; `commit` ({ hash, subject })
+   * is only set when a range review is broken down commit by commit.
+   * Full file contents, used for context and linting, come from `files`
+   * (uploaded reviews) or from `revision` in the repository at
+   * `repositoryPath` (a commit hash, or "" for the index). `config` is the
+   * repository's review configuration.
+   */
+  async processDiff(
+    reviewId,
+    segments,
+    { files = {}, repositoryPath, revision, config = {} } = {}
+  ) {
+    const startTime = Date.now();
+    const parsedSegments = segments.map((segment) => ({
+      ...segment,
+      parsedDiff: parseDiff(segment.diff),
+    }));
+
+    if (parsedSegments.every((segment) => segment.parsedDiff.length === 0)) {
+      throw new Error(
+        "Unable to parse diff. Please check if there are valid code changes."
+      );
+    }
 
-      // Analyze each changed file
+    // Full contents match the final version, so only the last segment
+    // touching a file can use them
+    const lastSegment = new Map();
+    parsedSegments.forEach(({ parsedDiff }, index) => {
+      parsedDiff.forEach((file) => lastSegment.set(file.to, index));
+    });
+
+    // Work out the files to analyze up front so progress has a total
+    const units = [];
+    const deletedFiles = [];
+    for (const [index, { parsedDiff, commit }] of parsedSegments.entries()) {
       for (const file of parsedDiff) {
         if (file.deleted) {
+          deletedFiles.push(file.from);
           console.log(`Skipping deleted file: ${file.to}`);
+          reviewEvents.publish(reviewId, "file-skipped", {
+            file: file.from,
+            reason: "deleted",
+          });
+          continue;
+        }
+
+        if (!repoConfig.isIncluded(file.to, config)) {
+          reviewEvents.publish(reviewId, "file-skipped", {
+            file: file.to,
+            reason: "excluded",
+          });
           continue;
         }
 
         const fileExt = path.extname(file.to);
-        const language = this.supportedExtensions[fileExt];
+        let language = this.getLanguage(file.to, config);
+
+        // Scripts without an extension are recognized by their shebang
+        if (!language && fileExt === "") {
+          language = this.getLanguage(
+            file.to,
+            config,
+            await this.getFirstLine(file, {
+              files,
+              repositoryPath,
+              revision: commit?.hash ?? revision,
+            })
+          );
+        }
 
         if (!language) {
+          // Any file can leak credentials, so unsupported files with a
+          // secret in their added lines are still scanned
+          const lines = this.extractChangedCode(file);
+          const added = lines.filter((l) => l.type === "add");
+          if (secretScanner.scan(added, file.to).length > 0) {
+            units.push({
+              filePath: file.to,
+              language: null,
+              lines,
+              commit,
+              staticOnly: true,
+            });
+            continue;
+          }
+
           console.log(
             `Skipping unsupported file: ${file.to} (extension: ${fileExt})`
           );
+          reviewEvents.publish(reviewId, "file-skipped", {
+            file: file.to,
+            reason: "unsupported",
+          });
           continue;
         }
 
         // Extract only added/modified lines
-        const changedCode = this.extractChangedCode(file);
+        let changedLines = this.extractChangedCode(file);
+        const uploaded =
+          typeof files[file.to] === "string" &&
+          lastSegment.get(file.to) === index
+            ? files[file.to]
+            : undefined;
+        if (uploaded !== undefined) {
+          changedLines = this.addFileContext(changedLines, uploaded);
+        }
 
-        if (!changedCode || changedCode.trim().length < 10) {
+        if (this.joinLines(changedLines).trim().length < 10) {
           console.log(`Skipping file with minimal changes: ${file.to}`);
+          reviewEvents.publish(reviewId, "file-skipped", {
+            file: file.to,
+            reason: "minimal-changes",
+          });
           continue;
         }
 
-        filesAnalyzed++;
+        units.push({
+          filePath: file.to,
+          language,
+          lines: changedLines,
+          commit,
+          content: await this.loadFileContent(file.to, changedLines, {
+            content: uploaded,
+            repositoryPath,
+            revision: commit?.hash ?? revision,
+          }),
+          // Schema checks also need what the change removed
+          removed: migrationAnalyzer.handles(language)
+            ? this.extractRemovedCode(file)
+            : undefined,
+        });
+      }
+    }
 
-        try {
-          console.log(`Analyzing ${file.to} (${language})...`);
+    if (units.length === 0) {
+      throw new Error(
+        "No supported files found to analyze. Make sure you have code files with supported extensions (.js, .jsx, .ts, .tsx, .py, .java, etc.)"
+      );
+    }
 
-          // Analyze with AI
-          const analysis = await aiService.analyzeCode(
-            changedCode,
-            file.to,
-            language,
-            standards.filter(
+    // The baseline is read from the reviewed revision, like the files
+    const baseline = await this.readRepositoryFile(BASELINE_FILE, {
+      files,
+      repositoryPath,
+      revision,
+    });
+
+    // Related tests count as updated when any segment touched them
+    const testContext = {
+      changedFiles: new Set(
+        parsedSegments.flatMap(({ parsedDiff }) =>
+          parsedDiff.flatMap((file) => [file.from, file.to])
+        )
+      ),
+      repoFiles: await this.listRepositoryFiles({ repositoryPath, revision }),
+    };
+
+    return this.analyzeUnits(reviewId, units, startTime, {
+      deletedFiles,
+      testContext,
+      source: { files, repositoryPath, revision },
+      baseline: suppressionService.parseBaseline(baseline),
+      config,
+    });
+  }
+
+  /**
+   * Run a list of analysis units through the AI, save the findings and
+   * finalize the review. A unit is `{ filePath, language, lines }`, where
+   * `lines` are `{ line, content, type }` with real file line numbers, plus
+   * an optional `commit` (per-commit range reviews) and `content` (the whole
+   * file, for the lint pass and lifecycle tracking). Progress is tracked per
+   * unit. `deletedFiles` lists files the reviewed changes removed and
+   * `baseline` holds the fingerprints of accepted findings. `config` is the
+   * repository's review configuration, stored on the review. `testContext`
+   * (diffs only) enables the missing-test check; see testGapDetector.
+   * `source` is where repository files are read from for cross-file
+   * context (see readRepositoryFile); without it the model only sees the
+   * unit.
+   * Units are analyzed concurrently, up to the review's provider's limit.
+   */
+  async analyzeUnits(
+    reviewId,
+    units,
+    startTime = Date.now(),
+    {
+      deletedFiles = [],
+      baseline = new Set(),
+      config = {},
+      testContext,
+      source,
+    } = {}
+  ) {
+    const review = await prisma.codeReview.findUnique({
+      where: { id: reviewId },
+    });
+    const reviewOptions = this.normalizeReviewOptions(review?.options || {});
+
+    // Provider and model of this review only: the request's choice, else
+    // the repository configuration's, else the server default
+    const ai = aiService.client(
+      reviewOptions.provider
+        ? reviewOptions
+        : {
+            provider: config.provider,
+            model: reviewOptions.model || config.model,
+          }
+    );
+
+    // One health check for the whole review rather than one per file
+    await ai.ensureAvailable();
+    const concurrency = ai.getConcurrency();
+
+    await prisma.codeReview.update({
+      where: { id: reviewId },
+      data: {
+        status: "IN_PROGRESS",
+        filesTotal: units.length,
+        filesProcessed: 0,
+        error: null,
+        config,
+        provider: ai.provider,
+        model: ai.model,
+      },
+    });
+    reviewEvents.publish(reviewId, "status", {
+      status: "IN_PROGRESS",
+      filesTotal: units.length,
+    });
+
+    // Load active coding standards (or the review's own selection)
+    const standards = await this.getActiveStandards(
+      reviewOptions.standardIds || config.standards
+    );
+    const filterStats = { kept: 0, downgraded: 0, dropped: 0 };
+    const verificationStats = { verified: 0, downgraded: 0, dropped: 0 };
+    // Tokens and findings of each analysis pass
+    const passStats = {};
+    const suppressedStats = { inline: 0, baseline: 0 };
+    const lintResults = new Map();
+    // Files read for cross-file context, per revision
+    const contextFiles = new Map();
+    // Units whose analysis could not be completed
+    const failedFiles = [];
+
+    let totalTokens = 0;
+    let cachedTokens = 0;
+    const cacheIdentity = ai.getCacheIdentity();
+    const allIssues = [];
+    const allRecommendations = {
+      documentation: [],
+      testing: [],
+      architecture: [],
+      cicd: [],
+    };
+
+    let unitsProcessed = 0;
+    const analyzedFiles = new Set();
+    const commitStats = new Map();
+
+    // Analyze units in parallel through a bounded worker pool
+    await runWithConcurrency(units, concurrency, async (original, index) => {
+      // Secrets never leave the server: every later stage, the model and
+      // the stored snippets only see redacted lines and content. Only
+      // secrets on reviewed lines are reported.
+      const secretFindings = secretScanner.scan(
+        this.getReviewedLines(original),
+        original.filePath
+      );
+      const unit = secretScanner.redactUnit(original);
+      const { filePath, language, lines, commit } = unit;
+      const directives = suppressionService.parseDirectives(
+        typeof unit.content === "string"
+          ? this.splitContent(unit.content).map((content, i) => ({
+              line: i + 1,
+              content,
+            }))
+          : lines
+      );
+      // Changed-lines mode only applies to diffs (scans have no added lines)
+      const changedLinesOnly =
+        reviewOptions.changedLinesOnly && lines.some((l) => l.type === "add");
+
+      // The model sees real file line numbers and answers in them
+      const code = this.formatNumberedCode(lines, {
+        markChanges: changedLinesOnly,
+      });
+
+      await prisma.codeReview.update({
+        where: { id: reviewId },
+        data: { currentFile: filePath },
+      });
+
+      reviewEvents.publish(reviewId, "file-started", {
+        file: filePath,
+        language,
+        commit: commit?.hash,
+        index: index + 1,
+        filesTotal: units.length,
+      });
+
+      try {
+        console.log(`Analyzing ${filePath} (${language})...`);
+
+        const fileStandards = language
+          ? standards.filter(
               (s) => s.language === language || s.language === "all"
             )
-          );
+          : [];
+
+        // Deterministic secret, lint, standard rule, migration and test
+        // findings are saved first and handed to the model so it does not
+        // repeat them
+        const staticFindings = [
+          ...secretFindings,
+          ...this.getLintFindings(unit, lintResults),
+          ...migrationAnalyzer.check(unit),
+          ...testGapDetector.check(unit, testContext),
+          ...ruleEngine.check(
+            this.getReviewedLines(unit),
+            language,
+            fileStandards
+          ),
+        ].filter((finding) => repoConfig.inDimensions(finding, config));
+        const savedStatic = await this.saveIssues(
+          reviewId,
+          unit,
+          this.applySuppressions(
+            unit,
+            staticFindings,
+            directives,
+            baseline,
+            suppressedStats
+          )
+        );
+        allIssues.push(...savedStatic);
+        const migrationIssues = savedStatic.filter(
+          (i) => i.source === "MIGRATION"
+        );
+
+        // Files the model cannot review only get the secret scan
+        if (!unit.staticOnly) {
+          const promptOptions = {
+            changedLinesOnly,
+            relatedCode: await this.getRelatedCode(unit, source, contextFiles),
+            staticFindings: staticFindings.filter(
+              (f) => f.source !== "MIGRATION"
+            ),
+            migrationRisks: migrationIssues.map((i) => ({
+              line: i.lineNumber,
+              title: i.title,
+            })),
+            dimensions: config.dimensions,
+            fileType: languageDetector.isInfrastructure(language)
+              ? language
+              : undefined,
+            standardRules: fileStandards.map((s) => ({
+              name: s.name,
+              rules: ruleEngine.getUncheckedRules(s),
+            })),
+          };
+
+          // One specialized prompt per pass of the review's depth
+          const reported = [];
+          const passes = getPasses(reviewOptions.depth, {
+            infrastructure: languageDetector.isInfrastructure(language),
+            dimensions: config.dimensions,
+          });
+          for (const pass of passes) {
+            const { categories } = PASSES[pass];
+            const passOptions = {
+              ...promptOptions,
+              pass,
+              // The CI/CD pass explains flagged migrations
+              migrationRisks: categories.includes("ci-cd")
+                ? promptOptions.migrationRisks
+                : [],
+            };
+            if (!passStats[pass]) {
+              passStats[pass] = { tokensUsed: 0, cachedTokens: 0, issues: 0 };
+            }
+
+            // Reuse a previous result for identical code and configuration
+            const cacheKey = analysisCache.buildKey({
+              code,
+              language,
+              standards: fileStandards,
+              ...cacheIdentity,
+              pass,
+              promptExtras: buildPromptExtras(passOptions),
+            });
+            let analysis = await analysisCache.get(cacheKey);
+
+            if (analysis) {
+              cachedTokens += analysis.tokensUsed || 0;
+              passStats[pass].cachedTokens += analysis.tokensUsed || 0;
+              reviewEvents.publish(reviewId, "tokens", {
+                file: filePath,
+                pass,
+                tokensUsed: 0,
+                cachedTokens: analysis.tokensUsed || 0,
+                totalTokens,
+              });
+            } else {
+              // Analyze with AI
+              analysis = await ai.analyzeCode(
+                code,
+                filePath,
+                language,
+                fileStandards,
+                { skipHealthCheck: true, ...passOptions }
+              );
+              await analysisCache.set(cacheKey, {
+                ...cacheIdentity,
+                analysis: analysis.analysis,
+                tokensUsed: analysis.tokensUsed,
+              });
+
+              totalTokens += analysis.tokensUsed || 0;
+              passStats[pass].tokensUsed += analysis.tokensUsed || 0;
+              if (commit) {
+                this.getCommitStats(commitStats, commit).tokensUsed +=
+                  analysis.tokensUsed || 0;
+              }
+              reviewEvents.publish(reviewId, "tokens", {
+                file: filePath,
+                pass,
+                tokensUsed: analysis.tokensUsed || 0,
+                totalTokens,
+              });
+            }
+
+            // Collect recommendations
+            if (analysis.analysis.recommendations) {
+              const recs = analysis.analysis.recommendations;
+              if (recs.documentation && Array.isArray(recs.documentation))
+                allRecommendations.documentation.push(...recs.documentation);
+              if (recs.testing && Array.isArray(recs.testing))
+                allRecommendations.testing.push(...recs.testing);
+              if (recs.architecture && Array.isArray(recs.architecture))
+                allRecommendations.architecture.push(...recs.architecture);
+              if (recs.cicd && Array.isArray(recs.cicd))
+                allRecommendations.cicd.push(...recs.cicd);
+            }
+
+            // A pass only answers for its own categories; findings in
+            // infrastructure files are recategorized below anyway
+            const issues = (analysis.analysis.issues || []).filter(
+              (issue) =>
+                languageDetector.isInfrastructure(language) ||
+                categories.includes(issue.category)
+            );
+            passStats[pass].issues += issues.length;
+            reported.push(...issues);
+          }
 
-          totalTokens += analysis.tokensUsed || 0;
-
-          // Collect recommendations
-          if (analysis.analysis.recommendations) {
-            const recs = analysis.analysis.recommendations;
-            if (recs.documentation && Array.isArray(recs.documentation))
-              allRecommendations.documentation.push(...recs.documentation);
-            if (recs.testing && Array.isArray(recs.testing))
-              allRecommendations.testing.push(...recs.testing);
-            if (recs.architecture && Array.isArray(recs.architecture))
-              allRecommendations.architecture.push(...recs.architecture);
-            if (recs.cicd && Array.isArray(recs.cicd))
-              allRecommendations.cicd.push(...recs.cicd);
+          // Map reported lines onto the reviewed code
+          let findings = this.dedupeFindings(reported)
+            .map((issue) => this.categorizeFinding(issue, language))
+            .filter((issue) => repoConfig.inDimensions(issue, config))
+            .map((issue) => ({
+              ...issue,
+              ...this.mapIssueLines(issue, lines),
+            }));
+
+          if (changedLinesOnly) {
+            findings = this.applyChangedLinesFilter(
+              findings,
+              lines,
+              reviewOptions.contextFindings,
+              filterStats
+            );
           }
 
-          // Save issues to database
-          if (
-            analysis.analysis.issues &&
-            Array.isArray(analysis.analysis.issues)
-          ) {
-            for (const issue of analysis.analysis.issues) {
-              try {
-                const savedIssue = await prisma.codeIssue.create({
-                  data: {
-                    reviewId: review.id,
-                    filePath: file.to,
-                    lineNumber: issue.line || 1,
-                    lineEnd: issue.lineEnd || issue.line || 1,
-                    severity: issue.severity || "INFO",
-                    category: issue.category || "style",
-                    title: issue.title,
-                    description: issue.description,
-                    codeSnippet: changedCode.substring(0, 5000), // Limit snippet size
-                    suggestion: issue.suggestion || null,
-                    autoFixable: issue.autoFixable || false,
-                    standard: issue.standard || null,
-                    documentationNeeded: issue.documentationNeeded || null,
-                  },
-                });
-                allIssues.push(savedIssue);
-              } catch (issueError) {
-                console.error(
-                  `Failed to save issue: ${issue.title}`,
-                  issueError.message
-                );
-              }
+          findings = this.applySuppressions(
+            unit,
+            findings,
+            directives,
+            baseline,
+            suppressedStats
+          );
+
+          // A second, focused look at the serious findings
+          if (reviewOptions.verifyFindings) {
+            const tokens = { used: 0, cached: 0 };
+            findings = await findingVerifier.verify(
+              findings,
+              {
+                ai,
+                // Redacted lines only, like the analysis itself
+                formatCode: (from, to) =>
+                  this.formatNumberedCode(
+                    lines.filter((l) => l.line >= from && l.line <= to)
+                  ),
+                filePath,
+                language,
+              },
+              verificationStats,
+              tokens
+            );
+            totalTokens += tokens.used;
+            cachedTokens += tokens.cached;
+            if (commit) {
+              this.getCommitStats(commitStats, commit).tokensUsed +=
+                tokens.used;
             }
           }
-        } catch (error) {
-          console.error(`Failed to analyze ${file.to}:`, error.message);
-          // Continue with other files even if one fails
-        }
-      }
 
-      if (filesAnalyzed === 0) {
-        // Update review as failed
-        await prisma.codeReview.update({
-          where: { id: review.id },
-          data: {
-            status: "FAILED",
-          },
+          findings = await this.mergeMigrationExplanations(
+            migrationIssues,
+            findings
+          );
+
+          // Save issues to database
+          const savedIssues = await this.saveIssues(reviewId, unit, findings);
+          allIssues.push(...savedIssues);
+        }
+      } catch (error) {
+        console.error(`Failed to analyze ${filePath}:`, error.message);
+        // Attempts that never produced a valid analysis still used tokens
+        totalTokens += error.tokensUsed || 0;
+        failedFiles.push({
+          file: filePath,
+          commit: commit?.hash,
+          error: error.message,
         });
-        throw new Error(
-          "No supported files found to analyze. Make sure you have code files with supported extensions (.js, .jsx, .ts, .tsx, .py, .java, etc.)"
-        );
+        reviewEvents.publish(reviewId, "file-error", {
+          file: filePath,
+          error: error.message,
+        });
+        // Continue with other files; the review is marked partially failed
       }
 
-      // Calculate issue counts
-      const criticalIssues = allIssues.filter(
-        (i) => i.severity === "CRITICAL"
-      ).length;
-      const majorIssues = allIssues.filter(
-        (i) => i.severity === "MAJOR"
-      ).length;
-      const minorIssues = allIssues.filter(
-        (i) => i.severity === "MINOR"
-      ).length;
-
-      // Estimate effort
-      let estimatedEffort = 0;
-      if (allIssues.length > 0) {
-        try {
-          const effortEstimate = await aiService.estimateEffort(allIssues);
-          estimatedEffort = effortEstimate.totalEffort || 0;
-
-          // Update individual issue efforts
-          if (
-            effortEstimate.breakdown &&
-            Array.isArray(effortEstimate.breakdown)
-          ) {
-            for (const item of effortEstimate.breakdown) {
-              const issue = allIssues.find((i) => i.title === item.issue);
-              if (issue && item.effort) {
-                await prisma.codeIssue.update({
-                  where: { id: issue.id },
-                  data: { effort: item.effort },
-                });
-              }
-            }
-          }
-        } catch (error) {
-          console.error("Failed to estimate effort:", error.message);
-          // Use simple estimation: 0.5 hours per issue
-          estimatedEffort = allIssues.length * 0.5;
-        }
+      unitsProcessed++;
+      analyzedFiles.add(filePath);
+      if (commit) {
+        this.getCommitStats(commitStats, commit).filesAnalyzed++;
       }
+      reviewEvents.publish(reviewId, "file-completed", {
+        file: filePath,
+        filesProcessed: unitsProcessed,
+        filesTotal: units.length,
+      });
 
-      // Update review with final stats
-      const analysisTime = (Date.now() - startTime) / 1000;
-      const updatedReview = await prisma.codeReview.update({
-        where: { id: review.id },
+      // Publish progress and running counts for pollers
+      await prisma.codeReview.update({
+        where: { id: reviewId },
         data: {
-          status: "COMPLETED",
-          filesAnalyzed: filesAnalyzed,
+          filesProcessed: { increment: 1 },
           issuesFound: allIssues.length,
-          criticalIssues,
-          majorIssues,
-          minorIssues,
-          estimatedEffort,
           tokensUsed: totalTokens,
-          analysisTime,
-          recommendations: allRecommendations,
-        },
-        include: {
-          issues: true,
+          cachedTokens,
         },
       });
+    });
+
+    // Per-commit breakdown for range reviews
+    let commitBreakdown;
+    if (commitStats.size > 0) {
+      commitBreakdown = [...commitStats.values()].map((stats) => {
+        const commitIssues = allIssues.filter(
+          (i) => i.commitHash === stats.hash
+        );
+        return {
+          ...stats,
+          issuesFound: commitIssues.length,
+          criticalIssues: commitIssues.filter((i) => i.severity === "CRITICAL")
+            .length,
+          majorIssues: commitIssues.filter((i) => i.severity === "MAJOR")
+            .length,
+          minorIssues: commitIssues.filter((i) => i.severity === "MINOR")
+            .length,
+        };
+      });
+    }
+
+    // Calculate issue counts
+    const criticalIssues = allIssues.filter(
+      (i) => i.severity === "CRITICAL"
+    ).length;
+    const majorIssues = allIssues.filter((i) => i.severity === "MAJOR").length;
+    const minorIssues = allIssues.filter((i) => i.severity === "MINOR").length;
+
+    await prisma.codeReview.update({
+      where: { id: reviewId },
+      data: { currentFile: null },
+    });
+
+    const lifecycle = await this.trackLifecycle(
+      review,
+      units,
+      allIssues,
+      deletedFiles
+    );
+
+    // Estimate effort
+    let estimatedEffort = 0;
+    if (allIssues.length > 0) {
+      reviewEvents.publish(reviewId, "effort-started", {
+        issues: allIssues.length,
+      });
 
-      return updatedReview;
-    } catch (error) {
-      console.error("Analysis failed:", error);
-      // Try to update review as failed if it exists
       try {
-        const existingReview = await prisma.codeReview.findFirst({
-          where: { userId, repositoryPath },
-          orderBy: { createdAt: "desc" },
-        });
-        if (existingReview && existingReview.status === "IN_PROGRESS") {
-          await prisma.codeReview.update({
-            where: { id: existingReview.id },
-            data: { status: "FAILED" },
-          });
+        const effortEstimate = await ai.estimateEffort(allIssues);
+        estimatedEffort = effortEstimate.totalEffort || 0;
+
+        // Update individual issue efforts
+        if (
+          effortEstimate.breakdown &&
+          Array.isArray(effortEstimate.breakdown)
+        ) {
+          for (const item of effortEstimate.breakdown) {
+            const issue = allIssues.find((i) => i.title === item.issue);
+            if (issue && item.effort) {
+              await prisma.codeIssue.update({
+                where: { id: issue.id },
+                data: { effort: item.effort },
+              });
+            }
+          }
         }
-      } catch (updateError) {
-        console.error("Failed to update review status:", updateError.message);
+      } catch (error) {
+        console.error("Failed to estimate effort:", error.message);
+        // Use simple estimation: 0.5 hours per issue
+        estimatedEffort = allIssues.length * 0.5;
       }
-      throw error;
     }
+
+    // Update review with final stats
+    const analysisTime = (Date.now() - startTime) / 1000;
+    const updatedReview = await prisma.codeReview.update({
+      where: { id: reviewId },
+      data: {
+        status: "COMPLETED",
+        filesAnalyzed: analyzedFiles.size,
+        filesProcessed: unitsProcessed,
+        issuesFound: allIssues.length,
+        criticalIssues,
+        majorIssues,
+        minorIssues,
+        estimatedEffort,
+        tokensUsed: totalTokens,
+        cachedTokens,
+        analysisTime,
+        recommendations: allRecommendations,
+        commitBreakdown,
+        failedFiles,
+        ...lifecycle,
+        summary: {
+          depth: reviewOptions.depth,
+          passes: passStats,
+          suppressed: suppressedStats,
+          ...(reviewOptions.changedLinesOnly && {
+            changedLinesFilter: filterStats,
+          }),
+          ...(reviewOptions.verifyFindings && {
+            verification: verificationStats,
+          }),
+        },
+      },
+      include: {
+        issues: true,
+      },
+    });
+
+    const { issues, ...summary } = updatedReview;
+    reviewEvents.publish(reviewId, "complete", { review: summary });
+
+    return updatedReview;
   }
 
   /**
-   * Analyze specific commit
+   * Findings of several passes with each problem once: passes can report
+   * the same line under the same title
    */
-  async analyzeCommit(repositoryPath, commitHash, userId) {
-    const startTime = Date.now();
-    const git = simpleGit(repositoryPath);
+  dedupeFindings(findings) {
+    const seen = new Set();
+    return findings.filter((finding) => {
+      const key = `${finding.line}:${finding.title.trim().toLowerCase()}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
 
-    try {
-      // Verify commit exists
+  /**
+   * Save the findings of one unit as CodeIssue rows and stream each one
+   */
+  async saveIssues(reviewId, unit, findings) {
+    const { filePath, lines, commit } = unit;
+    const saved = [];
+
+    for (const issue of findings) {
       try {
-        await git.show([commitHash, "--format=%H"]);
-      } catch (error) {
-        throw new Error(`Commit ${commitHash} not found in repository`);
+        const codeSnippet = this.getSnippet(lines, issue.line, issue.lineEnd);
+
+        const savedIssue = await prisma.codeIssue.create({
+          data: {
+            reviewId,
+            filePath,
+            lineNumber: issue.line,
+            lineEnd: issue.lineEnd,
+            lineVerified: issue.lineVerified,
+            severity: issue.severity || "INFO",
+            category: issue.category || "style",
+            title: issue.title,
+            description: issue.description,
+            codeSnippet: codeSnippet.substring(0, 5000), // Limit snippet size
+            suggestion: issue.suggestion || null,
+            autoFixable: issue.autoFixable || false,
+            standard: issue.standard || null,
+            documentationNeeded: issue.documentationNeeded || null,
+            commitHash: commit?.hash || null,
+            source: issue.source || "AI",
+            ruleId: issue.ruleId || null,
+            confidence: issue.confidence ?? null,
+            fingerprint: this.issueFingerprint(unit, issue),
+          },
+        });
+        saved.push(savedIssue);
+        reviewEvents.publish(reviewId, "issue", { issue: savedIssue });
+      } catch (issueError) {
+        console.error(
+          `Failed to save issue: ${issue.title}`,
+          issueError.message
+        );
       }
+    }
 
-      const branch = await git.branchLocal();
-      const currentBranch = branch.current;
+    return saved;
+  }
 
-      const review = await prisma.codeReview.create({
-        data: {
-          userId,
-          repositoryPath,
-          branch: currentBranch,
-          commitHash,
-          status: "IN_PROGRESS",
-        },
+  /**
+   * Fold the model's explanations of flagged migration changes into the
+   * matching MIGRATION issues instead of saving them as separate findings.
+   * Returns the findings that did not explain a migration issue.
+   */
+  async mergeMigrationExplanations(migrationIssues, findings) {
+    const remaining = [];
+    for (const finding of findings) {
+      const issue = migrationIssues.find(
+        (i) =>
+          finding.line <= (i.lineEnd || i.lineNumber) &&
+          (finding.lineEnd || finding.line) >= i.lineNumber
+      );
+      if (!issue || !finding.description) {
+        remaining.push(finding);
+        continue;
+      }
+
+      issue.description = `${issue.description}\n\nRisk: ${finding.description}`;
+      await prisma.codeIssue.update({
+        where: { id: issue.id },
+        data: { description: issue.description },
       });
+    }
+    return remaining;
+  }
 
-      // Get diff for specific commit
-      const diff = await git.show([commitHash, "--format="]);
+  /**
+   * Findings in infrastructure files are CI/CD findings, apart from
+   * security problems
+   */
+  categorizeFinding(issue, language) {
+    return languageDetector.isInfrastructure(language) &&
+      issue.category !== "security"
+      ? { ...issue, category: "ci-cd" }
+      : issue;
+  }
 
-      if (!diff || diff.trim() === "") {
-        throw new Error("No changes found in commit");
+  /**
+   * Drop findings covered by an inline ignore comment or accepted in the
+   * repository baseline, counting each kind into `stats`
+   */
+  applySuppressions(unit, findings, directives, baseline, stats) {
+    return findings.filter((finding) => {
+      if (suppressionService.matchesDirective(finding, directives)) {
+        stats.inline++;
+        return false;
       }
-
-      const parsedDiff = parseDiff(diff);
-
-      if (parsedDiff.length === 0) {
-        throw new Error("Unable to parse commit diff");
+      if (baseline.has(this.issueFingerprint(unit, finding))) {
+        stats.baseline++;
+        return false;
       }
+      return true;
+    });
+  }
 
-      const standards = await this.getActiveStandards();
-      let totalTokens = 0;
-      const allIssues = [];
-      const allRecommendations = {
-        documentation: [],
-        testing: [],
-        architecture: [],
-        cicd: [],
-      };
-
-      let filesAnalyzed = 0;
-
-      for (const file of parsedDiff) {
-        if (file.deleted) {
-          console.log(`Skipping deleted file: ${file.to}`);
-          continue;
-        }
+  /**
+   * Fingerprint of a finding on the lines of a unit
+   */
+  issueFingerprint(unit, issue) {
+    const lineEnd = issue.lineEnd || issue.line;
+    return this.fingerprint(
+      unit.filePath,
+      issue,
+      unit.lines
+        .filter((l) => l.line >= issue.line && l.line <= lineEnd)
+        .map((l) => l.content)
+    );
+  }
 
-        const fileExt = path.extname(file.to);
-        const language = this.supportedExtensions[fileExt];
+  /**
+   * Identity of a finding that survives unrelated edits: the file, the
+   * flagged code with whitespace normalized, the category and the rule.
+   * Line numbers are left out so code moving up or down keeps its issues.
+   */
+  fingerprint(filePath, issue, flaggedLines) {
+    const code = flaggedLines
+      .map((content) => content.trim().replace(/\s+/g, " "))
+      .join("\n");
+    return crypto
+      .createHash("sha1")
+      .update(
+        JSON.stringify([
+          filePath,
+          issue.category || "style",
+          issue.ruleId || issue.standard || "",
+          code,
+        ])
+      )
+      .digest("hex");
+  }
 
-        if (!language) {
-          console.log(`Skipping unsupported file: ${file.to}`);
-          continue;
-        }
+  /**
+   * Compare this review's issues with the previous completed review of the
+   * same repository and branch (skipped when the repository is unknown).
+   * Issues with a matching fingerprint are PERSISTING; previous issues
+   * whose flagged code no longer appears in a file this review examined
+   * (or whose file was deleted) are marked fixed and resolved. Returns the
+   * counts stored on the review.
+   */
+  async trackLifecycle(review, units, issues, deletedFiles = []) {
+    const counts = {
+      previousReviewId: null,
+      newIssues: issues.length,
+      persistingIssues: 0,
+      fixedIssues: 0,
+    };
+    // Snippets, and uploads that do not name their repository, have no
+    // history to compare against
+    if (
+      !review ||
+      review.type === "SNIPPET" ||
+      (review.type === "UPLOAD" &&
+        review.repositoryPath === UNNAMED_UPLOAD_PATH)
+    ) {
+      return counts;
+    }
 
-        const changedCode = this.extractChangedCode(file);
-        if (!changedCode || changedCode.trim().length < 10) {
-          console.log(`Skipping file with minimal changes: ${file.to}`);
-          continue;
-        }
+    const previous = await prisma.codeReview.findFirst({
+      where: {
+        id: { not: review.id },
+        repositoryPath: review.repositoryPath,
+        branch: review.branch,
+        status: "COMPLETED",
+        type: { not: "SNIPPET" },
+        createdAt: { lt: review.createdAt },
+      },
+      orderBy: { createdAt: "desc" },
+      include: { issues: true },
+    });
+    if (!previous) return counts;
+
+    // Each previous issue matches at most one current issue
+    const unmatched = new Map();
+    for (const issue of previous.issues) {
+      if (!issue.fingerprint || issue.fixedInReviewId) continue;
+      if (!unmatched.has(issue.fingerprint)) {
+        unmatched.set(issue.fingerprint, []);
+      }
+      unmatched.get(issue.fingerprint).push(issue);
+    }
 
-        filesAnalyzed++;
+    const persisting = [];
+    for (const issue of issues) {
+      const candidates = unmatched.get(issue.fingerprint);
+      if (candidates?.length) {
+        candidates.pop();
+        issue.lifecycle = "PERSISTING";
+        persisting.push(issue.id);
+      }
+    }
+    if (persisting.length > 0) {
+      await prisma.codeIssue.updateMany({
+        where: { id: { in: persisting } },
+        data: { lifecycle: "PERSISTING" },
+      });
+    }
 
-        try {
-          console.log(`Analyzing ${file.to} (${language})...`);
+    // Only files whose whole content this review saw can prove a fix;
+    // with several commits the last one holds the final version
+    const contents = new Map();
+    for (const unit of units) {
+      if (typeof unit.content === "string") {
+        contents.set(unit.filePath, this.splitContent(unit.content));
+      }
+    }
+    const deleted = new Set(deletedFiles);
+
+    const fixed = [...unmatched.values()]
+      .flat()
+      .filter(
+        (issue) =>
+          deleted.has(issue.filePath) ||
+          (contents.has(issue.filePath) &&
+            !this.containsFingerprint(contents.get(issue.filePath), issue))
+      )
+      .map((issue) => issue.id);
+    if (fixed.length > 0) {
+      await prisma.codeIssue.updateMany({
+        where: { id: { in: fixed } },
+        data: { resolved: true, fixedInReviewId: review.id },
+      });
+    }
 
-          const analysis = await aiService.analyzeCode(
-            changedCode,
-            file.to,
-            language,
-            standards.filter(
-              (s) => s.language === language || s.language === "all"
-            )
-          );
+    return {
+      previousReviewId: previous.id,
+      newIssues: issues.length - persisting.length,
+      persistingIssues: persisting.length,
+      fixedIssues: fixed.length,
+    };
+  }
 
-          totalTokens += analysis.tokensUsed || 0;
-
-          // Collect recommendations
-          if (analysis.analysis.recommendations) {
-            const recs = analysis.analysis.recommendations;
-            if (recs.documentation && Array.isArray(recs.documentation))
-              allRecommendations.documentation.push(...recs.documentation);
-            if (recs.testing && Array.isArray(recs.testing))
-              allRecommendations.testing.push(...recs.testing);
-            if (recs.architecture && Array.isArray(recs.architecture))
-              allRecommendations.architecture.push(...recs.architecture);
-            if (recs.cicd && Array.isArray(recs.cicd))
-              allRecommendations.cicd.push(...recs.cicd);
-          }
+  /**
+   * Whether any span of `fileLines` as long as the issue's flagged code
+   * produces the issue's fingerprint. Secrets are redacted first, as they
+   * were when the fingerprint was taken.
+   */
+  containsFingerprint(fileLines, issue) {
+    const numbered = fileLines.map((content, i) => ({ line: i + 1, content }));
+    const redacted = secretScanner
+      .redactLines(numbered, secretScanner.scan(numbered, issue.filePath))
+      .map((l) => l.content);
+    const span = (issue.lineEnd || issue.lineNumber) - issue.lineNumber + 1;
+
+    for (let start = 0; start + span <= redacted.length; start++) {
+      const flagged = redacted.slice(start, start + span);
+      if (
+        this.fingerprint(issue.filePath, issue, flagged) === issue.fingerprint
+      ) {
+        return true;
+      }
+    }
+    return false;
+  }
 
-          if (
-            analysis.analysis.issues &&
-            Array.isArray(analysis.analysis.issues)
-          ) {
-            for (const issue of analysis.analysis.issues) {
-              try {
-                const savedIssue = await prisma.codeIssue.create({
-                  data: {
-                    reviewId: review.id,
-                    filePath: file.to,
-                    lineNumber: issue.line || 1,
-                    lineEnd: issue.lineEnd || issue.line || 1,
-                    severity: issue.severity || "INFO",
-                    category: issue.category || "style",
-                    title: issue.title,
-                    description: issue.description,
-                    codeSnippet: changedCode.substring(0, 5000),
-                    suggestion: issue.suggestion || null,
-                    autoFixable: issue.autoFixable || false,
-                    standard: issue.standard || null,
-                    documentationNeeded: issue.documentationNeeded || null,
-                  },
-                });
-                allIssues.push(savedIssue);
-              } catch (issueError) {
-                console.error(
-                  `Failed to save issue: ${issue.title}`,
-                  issueError.message
-                );
-              }
-            }
-          }
-        } catch (error) {
-          console.error(`Failed to analyze ${file.to}:`, error.message);
+  /**
+   * Keep findings that overlap added lines. Findings that only touch
+   * unchanged context are downgraded to INFO or dropped, per `mode`.
+   * Counts are accumulated into `stats`.
+   */
+  applyChangedLinesFilter(findings, lines, mode, stats) {
+    const added = new Set(
+      lines.filter((l) => l.type === "add").map((l) => l.line)
+    );
+    const result = [];
+
+    for (const finding of findings) {
+      let touchesAdded = false;
+      for (let l = finding.line; l <= finding.lineEnd; l++) {
+        if (added.has(l)) {
+          touchesAdded = true;
+          break;
         }
       }
 
-      if (filesAnalyzed === 0) {
-        await prisma.codeReview.update({
-          where: { id: review.id },
-          data: { status: "FAILED" },
+      if (touchesAdded) {
+        stats.kept++;
+        result.push(finding);
+      } else if (mode === "drop") {
+        stats.dropped++;
+      } else {
+        stats.downgraded++;
+        result.push({
+          ...finding,
+          severity: "INFO",
+          description: `${finding.description}\n\n(Reported on unchanged context lines, downgraded from ${finding.severity}.)`,
         });
-        throw new Error("No supported files found in commit to analyze");
       }
-
-      const criticalIssues = allIssues.filter(
-        (i) => i.severity === "CRITICAL"
-      ).length;
-      const majorIssues = allIssues.filter(
-        (i) => i.severity === "MAJOR"
-      ).length;
-      const minorIssues = allIssues.filter(
-        (i) => i.severity === "MINOR"
-      ).length;
-
-      let estimatedEffort = 0;
-      if (allIssues.length > 0) {
-        try {
-          const effortEstimate = await aiService.estimateEffort(allIssues);
-          estimatedEffort = effortEstimate.totalEffort || 0;
-
-          if (
-            effortEstimate.breakdown &&
-            Array.isArray(effortEstimate.breakdown)
-          ) {
-            for (const item of effortEstimate.breakdown) {
-              const issue = allIssues.find((i) => i.title === item.issue);
-              if (issue && item.effort) {
-                await prisma.codeIssue.update({
-                  where: { id: issue.id },
-                  data: { effort: item.effort },
-                });
-              }
-            }
-          }
-        } catch (error) {
-          console.error("Failed to estimate effort:", error.message);
-          estimatedEffort = allIssues.length * 0.5;
-        }
-      }
-
-      const analysisTime = (Date.now() - startTime) / 1000;
-      const updatedReview = await prisma.codeReview.update({
-        where: { id: review.id },
-        data: {
-          status: "COMPLETED",
-          filesAnalyzed: filesAnalyzed,
-          issuesFound: allIssues.length,
-          criticalIssues,
-          majorIssues,
-          minorIssues,
-          estimatedEffort,
-          tokensUsed: totalTokens,
-          analysisTime,
-          recommendations: allRecommendations,
-        },
-        include: {
-          issues: true,
-        },
-      });
-
-      return updatedReview;
-    } catch (error) {
-      console.error("Commit analysis failed:", error);
-      throw error;
     }
+
+    return result;
   }
 
   /**
@@ -502,6 +1787,7 @@ class CodeAnalysisService {
     try {
       const issue = await prisma.codeIssue.findUnique({
         where: { id: issueId },
+        include: { review: true },
       });
 
       if (!issue) {
@@ -512,32 +1798,38 @@ class CodeAnalysisService {
         throw new Error("This issue is not auto-fixable");
       }
 
-      const fileExt = path.extname(issue.filePath);
-      const language = this.supportedExtensions[fileExt];
+      const language = this.getLanguage(issue.filePath);
 
       if (!language) {
         throw new Error("Unsupported file type");
       }
 
       // Get the original code
-      const fullPath = path.join(repositoryPath, issue.filePath);
-      const fileContent = await fs.readFile(fullPath, "utf-8");
-      const lines = fileContent.split("\n");
-
-      // Extract relevant code section
-      const startLine = Math.max(0, issue.lineNumber - 5);
-      const endLine = Math.min(
-        lines.length,
-        (issue.lineEnd || issue.lineNumber) + 5
-      );
-      const codeSection = lines.slice(startLine, endLine).join("\n");
+      let codeSection;
+      try {
+        const fullPath = path.join(repositoryPath, issue.filePath);
+        const fileContent = await fs.readFile(fullPath, "utf-8");
+        const lines = fileContent.split("\n");
+
+        // Extract relevant code section
+        const startLine = Math.max(0, issue.lineNumber - 5);
+        const endLine = Math.min(
+          lines.length,
+          (issue.lineEnd || issue.lineNumber) + 5
+        );
+        codeSection = lines.slice(startLine, endLine).join("\n");
+      } catch (error) {
+        // Uploaded reviews have no checkout; fall back to the saved snippet
+        if (!issue.codeSnippet) throw error;
+        codeSection = issue.codeSnippet;
+      }
 
       // Generate fix
-      const fixedCode = await aiService.generateFix(
-        codeSection,
-        issue,
-        language
+      // Fix with the provider and model that found the issue, while registered
+      const ai = aiService.client(
+        providerRegistry.has(issue.review.provider) ? issue.review : {}
       );
+      const fixedCode = await ai.generateFix(codeSection, issue, language);
 
       // Update issue with fix
       await prisma.codeIssue.update({
@@ -553,7 +1845,45 @@ class CodeAnalysisService {
   }
 
   /**
-   * Extract changed code from diff
+   * Get (or start) the running totals for one commit of a range review
+   */
+  getCommitStats(commitStats, commit) {
+    if (!commitStats.has(commit.hash)) {
+      commitStats.set(commit.hash, {
+        hash: commit.hash,
+        subject: commit.subject,
+        filesAnalyzed: 0,
+        tokensUsed: 0,
+      });
+    }
+    return commitStats.get(commit.hash);
+  }
+
+  /**
+   * Deleted lines of a diff file, each numbered with the new-file line it
+   * was removed before
+   */
+  extractRemovedCode(file) {
+    const removed = [];
+    for (const chunk of file.chunks) {
+      let lineNumber = chunk.newStart || 1;
+      for (const change of chunk.changes) {
+        if (change.type === "del") {
+          removed.push({
+            line: lineNumber,
+            content: change.content.substring(1),
+          });
+        } else {
+          lineNumber++;
+        }
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Extract changed code from diff as `{ line, content, type }` entries,
+   * where `line` is the line number in the new version of the file
    */
   extractChangedCode(file) {
     const changedLines = [];
@@ -587,16 +1917,200 @@ class CodeAnalysisService {
       }
     }
 
-    // Return the code with line number information
-    return changedLines.map((l) => l.content).join("\n");
+    return changedLines;
+  }
+
+  /**
+   * Widen extracted diff lines with context from the full file contents.
+   * Contents that do not match the diff's added lines are ignored.
+   */
+  addFileContext(lines, content, radius = this.uploadContextLines) {
+    if (!this.contentMatches(lines, content)) {
+      console.log("Uploaded file contents do not match the diff, ignoring");
+      return lines;
+    }
+
+    const fileLines = this.splitContent(content);
+    const byLine = new Map(lines.map((l) => [l.line, l]));
+    for (const l of lines) {
+      if (l.type !== "add") continue;
+      const from = Math.max(1, l.line - radius);
+      const to = Math.min(fileLines.length, l.line + radius);
+      for (let n = from; n <= to; n++) {
+        if (!byLine.has(n)) {
+          byLine.set(n, {
+            line: n,
+            content: fileLines[n - 1],
+            type: "context",
+          });
+        }
+      }
+    }
+
+    return [...byLine.values()].sort((a, b) => a.line - b.line);
+  }
+
+  /**
+   * Whether full file contents agree with the added lines of a diff
+   */
+  contentMatches(lines, content) {
+    const fileLines = this.splitContent(content);
+    return lines.every(
+      (l) => l.type !== "add" || fileLines[l.line - 1] === l.content
+    );
+  }
+
+  splitContent(content) {
+    return content.replace(/\r?\n$/, "").split(/\r?\n/);
+  }
+
+  /**
+   * Whole contents of a changed file, either uploaded or read from a
+   * revision. Undefined when unavailable or out of sync with the diff.
+   */
+  async loadFileContent(
+    filePath,
+    lines,
+    { content, repositoryPath, revision }
+  ) {
+    if (content === undefined && repositoryPath && revision !== undefined) {
+      try {
+        content = await simpleGit(repositoryPath).show([
+          `${revision}:${filePath}`,
+        ]);
+      } catch (error) {
+        return undefined;
+      }
+    }
+
+    return content !== undefined && this.contentMatches(lines, content)
+      ? content
+      : undefined;
+  }
+
+  /**
+   * ESLint findings on the lines a unit reviews. Each file is linted once
+   * per review, even when it is split into several units.
+   */
+  getLintFindings(unit, lintResults) {
+    const { filePath, language, commit, content } = unit;
+    if (!content || !lintService.canLint(language)) return [];
+
+    const key = `${commit?.hash || ""}:${filePath}`;
+    if (!lintResults.has(key)) {
+      lintResults.set(key, lintService.lint(content, filePath, language));
+    }
+
+    const reviewed = new Set(this.getReviewedLines(unit).map((l) => l.line));
+    return lintResults.get(key).filter((f) => reviewed.has(f.line));
+  }
+
+  /**
+   * Lines that deterministic checks report on: the added lines of a diff,
+   * or every line of a scan chunk
+   */
+  getReviewedLines(unit) {
+    const added = unit.lines.filter((l) => l.type === "add");
+    return added.length > 0 ? added : unit.lines;
+  }
+
+  /**
+   * Plain code of extracted lines
+   */
+  joinLines(lines) {
+    return lines.map((l) => l.content).join("\n");
+  }
+
+  /**
+   * Prefix each line with its file line number (`  42 | code`) and mark
+   * gaps between hunks, so the model can report real line numbers.
+   * With `markChanges`, added lines are tagged `+` and context lines ` `.
+   */
+  formatNumberedCode(lines, { markChanges = false } = {}) {
+    const width = String(lines[lines.length - 1]?.line || 1).length;
+    const output = [];
+    let previous = null;
+
+    for (const l of lines) {
+      const marker = markChanges ? (l.type === "add" ? " +" : "  ") : "";
+      if (previous !== null && l.line > previous + 1) {
+        output.push(`${" ".repeat(width)}${marker ? "  " : ""} | ...`);
+      }
+      output.push(`${String(l.line).padStart(width)}${marker} | ${l.content}`);
+      previous = l.line;
+    }
+
+    return output.join("\n");
+  }
+
+  /**
+   * Map an issue's reported lines onto the lines that were sent for review.
+   * Only exact matches count as verified. Otherwise the model most likely
+   * counted from the top of the snippet, so the number is translated by
+   * position; anything beyond that is snapped to the nearest reviewed line.
+   * Both guesses are flagged with `lineVerified: false`.
+   */
+  mapIssueLines(issue, lines) {
+    const reviewed = lines.map((l) => l.line);
+    const reported = parseInt(issue.line) || 1;
+    const reportedEnd = Math.max(parseInt(issue.lineEnd) || reported, reported);
+    const span = reportedEnd - reported;
+
+    if (reviewed.length === 0) {
+      return { line: reported, lineEnd: reportedEnd, lineVerified: false };
+    }
+
+    const clampEnd = (line, end) =>
+      Math.max(line, Math.min(end, reviewed[reviewed.length - 1]));
+
+    if (reviewed.includes(reported)) {
+      return {
+        line: reported,
+        lineEnd: clampEnd(reported, reportedEnd),
+        lineVerified: true,
+      };
+    }
+
+    if (reported >= 1 && reported <= lines.length) {
+      const line = lines[reported - 1].line;
+      return {
+        line,
+        lineEnd: clampEnd(line, line + span),
+        lineVerified: false,
+      };
+    }
+
+    const nearest = reviewed.reduce((best, candidate) =>
+      Math.abs(candidate - reported) < Math.abs(best - reported)
+        ? candidate
+        : best
+    );
+    return {
+      line: nearest,
+      lineEnd: clampEnd(nearest, nearest + span),
+      lineVerified: false,
+    };
+  }
+
+  /**
+   * Code around an issue (a few lines of context each side)
+   */
+  getSnippet(lines, line, lineEnd, context = 3) {
+    const snippet = lines.filter(
+      (l) => l.line >= line - context && l.line <= lineEnd + context
+    );
+    return this.joinLines(snippet.length > 0 ? snippet : lines);
   }
 
   /**
-   * Get active coding standards
+   * Get active coding standards, or the given ones (ids or names)
+   * regardless of state
    */
-  async getActiveStandards() {
+  async getActiveStandards(standards) {
     return await prisma.codingStandard.findMany({
-      where: { isActive: true },
+      where: standards
+        ? { OR: [{ id: { in: standards } }, { name: { in: standards } }] }
+        : { isActive: true },
     });
   }
 
@@ -617,9 +2131,18 @@ class CodeAnalysisService {
     const totalMajor = reviews.reduce((sum, r) => sum + r.majorIssues, 0);
     const totalMinor = reviews.reduce((sum, r) => sum + r.minorIssues, 0);
     const totalTokens = reviews.reduce((sum, r) => sum + r.tokensUsed, 0);
+    const totalCachedTokens = reviews.reduce(
+      (sum, r) => sum + (r.cachedTokens || 0),
+      0
+    );
     const avgAnalysisTime =
       reviews.reduce((sum, r) => sum + (r.analysisTime || 0), 0) / totalReviews;
 
+    // Net quality change only counts reviews that had a review to compare to
+    const tracked = reviews.filter((r) => r.previousReviewId);
+    const totalNewIssues = tracked.reduce((sum, r) => sum + r.newIssues, 0);
+    const totalFixedIssues = tracked.reduce((sum, r) => sum + r.fixedIssues, 0);
+
     return {
       totalReviews,
       totalIssues,
@@ -627,6 +2150,10 @@ class CodeAnalysisService {
       totalMajor,
       totalMinor,
       totalTokens,
+      totalCachedTokens,
+      totalNewIssues,
+      totalFixedIssues,
+      netIssueChange: totalNewIssues - totalFixedIssues,
       avgAnalysisTime: avgAnalysisTime.toFixed(2),
     };
   }
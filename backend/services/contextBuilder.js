@@ -0,0 +1,391 @@
+import path from "path";
+import secretScanner from "./secretScanner.js";
+
+/**
+ * Cross-file context for the analysis prompt.
+ *
+ * The model only sees the reviewed lines of one file, so symbols imported
+ * from elsewhere look undefined to it. For JavaScript, TypeScript and
+ * Python files this resolves imports that point inside the repository and
+ * collects the signatures and doc comments of the imported symbols, up to a
+ * token budget.
+ */
+class ContextBuilder {
+  constructor() {
+    this.enabled = process.env.CROSS_FILE_CONTEXT !== "false";
+    this.maxTokens = parseInt(process.env.CROSS_FILE_CONTEXT_TOKENS || "1500");
+    this.jsExtensions = [".js", ".jsx", ".ts", ".tsx", ".mjs", ".cjs"];
+  }
+
+  /**
+   * Context entries `{ file, symbol, text }` for the symbols a unit
+   * imports. `readFile(path)` returns a repository file's content or
+   * undefined; results are memoized in `cache` across the units of a
+   * review.
+   */
+  async build(unit, readFile, cache = new Map()) {
+    if (!this.enabled || this.maxTokens <= 0) return [];
+
+    const source =
+      typeof unit.content === "string"
+        ? unit.content
+        : unit.lines.map((l) => l.content).join("\n");
+
+    let imports;
+    if (unit.language === "javascript" || unit.language === "typescript") {
+      imports = this.parseJsImports(source);
+    } else if (unit.language === "python") {
+      imports = this.parsePythonImports(source);
+    } else {
+      return [];
+    }
+
+    const read = (file) => {
+      if (!cache.has(file)) cache.set(file, readFile(file));
+      return cache.get(file);
+    };
+
+    // Modules used by the changed lines get the budget first
+    const changed = unit.lines
+      .filter((l) => l.type === "add")
+      .map((l) => l.content)
+      .join("\n");
+    const usedByChange = ({ names }) =>
+      names.some(({ local }) => changed.includes(local));
+    imports.sort((a, b) => usedByChange(b) - usedByChange(a));
+
+    const entries = [];
+    let budget = this.maxTokens * 4; // ~4 characters per token
+    for (const { specifier, names } of imports) {
+      const resolved = await this.resolve(
+        unit.filePath,
+        unit.language,
+        specifier,
+        read
+      );
+      if (!resolved || resolved.file === unit.filePath) continue;
+
+      const symbols =
+        unit.language === "python"
+          ? this.extractPythonSymbols(resolved.content, names)
+          : this.extractJsSymbols(resolved.content, names, source);
+
+      for (const symbol of symbols) {
+        // Other files skip the secret scan of the unit, so redact here
+        const text = this.redactSecrets(symbol.text, resolved.file);
+        if (text.length > budget) continue;
+        budget -= text.length;
+        entries.push({ file: resolved.file, symbol: symbol.symbol, text });
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Context text with the credentials the secret scanner finds masked
+   */
+  redactSecrets(text, file) {
+    const lines = text
+      .split("\n")
+      .map((content, i) => ({ line: i + 1, content }));
+    return secretScanner
+      .redactLines(lines, secretScanner.scan(lines, file))
+      .map((l) => l.content)
+      .join("\n");
+  }
+
+  /**
+   * Relative imports and requires as `{ specifier, names }`, where names
+   * are `{ imported, local }` ("default" and "*" for default and namespace
+   * imports)
+   */
+  parseJsImports(source) {
+    const imports = [];
+    const importPattern =
+      /import\s+(?:type\s+)?([\w$*{}\s,]+?)\s+from\s+["'](\.{1,2}\/[^"']+)["']/g;
+    const requirePattern =
+      /(?:const|let|var)\s+([\w$]+|\{[^}]*\})\s*=\s*require\(\s*["'](\.{1,2}\/[^"']+)["']\s*\)/g;
+
+    for (const [, clause, specifier] of source.matchAll(importPattern)) {
+      const names = [];
+      const named = clause.match(/\{([^}]*)\}/);
+      const rest = clause.replace(/\{[^}]*\}/, "");
+      const namespace = rest.match(/\*\s*as\s+([\w$]+)/);
+      const defaultName = rest.replace(/\*\s*as\s+[\w$]+/, "").match(/[\w$]+/);
+
+      if (defaultName) {
+        names.push({ imported: "default", local: defaultName[0] });
+      }
+      if (namespace) names.push({ imported: "*", local: namespace[1] });
+      if (named) names.push(...this.parseNamedList(named[1], /\s+as\s+/));
+      imports.push({ specifier, names });
+    }
+
+    for (const [, binding, specifier] of source.matchAll(requirePattern)) {
+      const names = binding.startsWith("{")
+        ? this.parseNamedList(binding.slice(1, -1), /\s*:\s*/)
+        : [{ imported: "*", local: binding }];
+      imports.push({ specifier, names });
+    }
+
+    return imports;
+  }
+
+  parseNamedList(list, aliasSeparator) {
+    return list
+      .split(",")
+      .map((part) => part.replace(/^\s*type\s+/, "").trim())
+      .filter(Boolean)
+      .map((part) => {
+        const [imported, local = imported] = part.split(aliasSeparator);
+        return { imported: imported.trim(), local: local.trim() };
+      });
+  }
+
+  /**
+   * `from x import a, b` and `import x.y` statements as `{ specifier,
+   * names }`; specifiers keep their leading dots for relative imports
+   */
+  parsePythonImports(source) {
+    const imports = [];
+    const lines = source.replace(/\(\s*([^)]*)\)/g, (match, inner) =>
+      inner.replace(/\s*\n\s*/g, " ")
+    );
+
+    for (const line of lines.split(/\r?\n/)) {
+      const from = line.match(/^\s*from\s+(\.*[\w.]*)\s+import\s+(.+)$/);
+      if (from) {
+        const names = from[2]
+          .replace(/#.*$/, "")
+          .split(",")
+          .map((part) => part.trim())
+          .filter((part) => part && part !== "*")
+          .map((part) => {
+            const [imported, local = imported] = part.split(/\s+as\s+/);
+            return { imported, local };
+          });
+        imports.push({ specifier: from[1], names });
+        continue;
+      }
+
+      const plain = line.match(/^\s*import\s+([\w.]+)(?:\s+as\s+(\w+))?/);
+      if (plain) {
+        imports.push({
+          specifier: plain[1],
+          names: [{ imported: "*", local: plain[2] || plain[1] }],
+        });
+      }
+    }
+    return imports;
+  }
+
+  /**
+   * Repository file an import points to, as `{ file, content }`
+   */
+  async resolve(fromFile, language, specifier, read) {
+    const dir = path.posix.dirname(fromFile);
+    let candidates;
+
+    if (language === "python") {
+      const dots = specifier.match(/^\.*/)[0].length;
+      const modulePath = specifier.slice(dots).replace(/\./g, "/");
+      // Relative imports start at the importing package; absolute ones at
+      // the repository root or the importing file's top-level directory
+      const bases =
+        dots > 0
+          ? [path.posix.join(dir, ...Array(dots - 1).fill(".."))]
+          : [".", fromFile.split("/")[0]];
+      candidates = bases.flatMap((base) =>
+        modulePath
+          ? [
+              path.posix.join(base, `${modulePath}.py`),
+              path.posix.join(base, modulePath, "__init__.py"),
+            ]
+          : [path.posix.join(base, "__init__.py")]
+      );
+    } else {
+      const target = path.posix.join(dir, specifier);
+      // TypeScript imports name the compiled ".js" file
+      const stem = target.replace(/\.[cm]?jsx?$/, "");
+      candidates = [
+        target,
+        ...this.jsExtensions.map((ext) => `${stem}${ext}`),
+        ...this.jsExtensions.map((ext) => `${target}/index${ext}`),
+      ];
+    }
+
+    for (const file of [...new Set(candidates)]) {
+      if (file.startsWith("..")) continue;
+      const content = await read(file);
+      if (typeof content === "string") return { file, content };
+    }
+    return undefined;
+  }
+
+  /**
+   * Signatures of the imported JavaScript symbols. Namespace and default
+   * imports of a module that exports several symbols only include the ones
+   * the importing code uses as `local.name`.
+   */
+  extractJsSymbols(content, names, importer) {
+    const lines = content.split(/\r?\n/);
+    const symbols = [];
+
+    const wanted = new Set();
+    for (const { imported, local } of names) {
+      if (imported === "*") {
+        const pattern = new RegExp(
+          `\\b${local.replace(/\$/g, "\\$")}\\.([\\w$]+)`,
+          "g"
+        );
+        for (const [, member] of importer.matchAll(pattern)) {
+          wanted.add(member);
+        }
+      } else if (imported === "default") {
+        wanted.add(this.defaultExportName(content) || "default");
+      } else {
+        wanted.add(imported);
+      }
+    }
+
+    for (const name of wanted) {
+      const index = lines.findIndex((line) =>
+        new RegExp(
+          `^\\s*(?:export\\s+)?(?:default\\s+)?(?:async\\s+)?(?:function\\s*\\*?\\s*|class\\s+|(?:const|let|var)\\s+|interface\\s+|type\\s+)${name.replace(
+            /\$/g,
+            "\\$"
+          )}\\b`
+        ).test(line)
+      );
+      if (index === -1) {
+        // Instance methods of an exported singleton, e.g. `service.run()`
+        const method = this.findClassMember(lines, name);
+        if (method) symbols.push(method);
+        continue;
+      }
+      symbols.push({
+        symbol: name,
+        text: [
+          ...this.leadingComment(lines, index),
+          ...this.jsSignature(lines, index),
+        ].join("\n"),
+      });
+    }
+    return symbols;
+  }
+
+  /**
+   * Name of the class or function behind `export default`, e.g. the class
+   * of `export default new Service()`
+   */
+  defaultExportName(content) {
+    const match = content.match(
+      /^export\s+default\s+(?:new\s+)?(?:async\s+)?(?:function\s*\*?\s*|class\s+)?([\w$]+)/m
+    );
+    return match && !["function", "class"].includes(match[1])
+      ? match[1]
+      : undefined;
+  }
+
+  findClassMember(lines, name) {
+    const index = lines.findIndex((line) =>
+      new RegExp(`^\\s+(?:static\\s+)?(?:async\\s+)?${name}\\s*\\(`).test(line)
+    );
+    if (index === -1) return undefined;
+    return {
+      symbol: name,
+      text: [
+        ...this.leadingComment(lines, index),
+        ...this.jsSignature(lines, index),
+      ]
+        .map((line) => line.trim())
+        .join("\n"),
+    };
+  }
+
+  /**
+   * Declaration lines up to the opening brace of the body. Classes list
+   * their method signatures; other declarations are cut at the body.
+   */
+  jsSignature(lines, index) {
+    const signature = [];
+    for (let i = index; i < lines.length && signature.length < 8; i++) {
+      signature.push(lines[i]);
+      if (/[{;]\s*$|=>/.test(lines[i])) break;
+    }
+
+    if (/^\s*(?:export\s+)?(?:default\s+)?class\s/.test(lines[index])) {
+      const indent = lines[index].match(/^\s*/)[0].length;
+      for (let i = index + 1; i < lines.length; i++) {
+        const line = lines[i];
+        if (/^\s*}/.test(line) && line.match(/^\s*/)[0].length === indent) {
+          break;
+        }
+        if (
+          /^\s+(?:static\s+)?(?:async\s+)?(?!if\b|for\b|while\b|switch\b|catch\b|return\b)[\w$]+\s*\([^)]*\)\s*\{\s*$/.test(
+            line
+          ) &&
+          !/^\s+constructor\s*\(/.test(line)
+        ) {
+          signature.push(`${line.replace(/\s*\{\s*$/, "")}`);
+        }
+      }
+      signature.push(`${" ".repeat(indent)}}`);
+    }
+    return signature;
+  }
+
+  /**
+   * The JSDoc or line comment block right above a declaration
+   */
+  leadingComment(lines, index) {
+    let start = index;
+    while (start > 0 && /^\s*(\/\/|\/\*|\*)/.test(lines[start - 1])) start--;
+    return lines.slice(start, index);
+  }
+
+  /**
+   * Signatures and docstrings of the imported Python functions and
+   * classes. Module imports (`import x`) include every public top-level
+   * definition the importer does not already see.
+   */
+  extractPythonSymbols(content, names) {
+    const lines = content.split(/\r?\n/);
+    const wanted = names.some((n) => n.imported === "*")
+      ? null
+      : new Set(names.map((n) => n.imported));
+
+    const symbols = [];
+    for (const [index, line] of lines.entries()) {
+      const match = line.match(/^(?:async\s+)?(def|class)\s+([A-Za-z]\w*)/);
+      if (!match || (wanted && !wanted.has(match[2]))) continue;
+
+      const text = [];
+      for (let i = index; i < lines.length && text.length < 6; i++) {
+        text.push(lines[i]);
+        if (/:\s*(#.*)?$/.test(lines[i])) {
+          text.push(...this.docstring(lines, i + 1));
+          break;
+        }
+      }
+      symbols.push({ symbol: match[2], text: text.join("\n") });
+    }
+    return symbols;
+  }
+
+  docstring(lines, index) {
+    if (!/^\s*[rub]?("""|''')/i.test(lines[index] || "")) return [];
+    const quote = lines[index].includes('"""') ? '"""' : "'''";
+    const doc = [];
+    for (let i = index; i < lines.length && doc.length < 10; i++) {
+      doc.push(lines[i]);
+      const occurrences = lines[i].split(quote).length - 1;
+      if ((i === index && occurrences >= 2) || (i > index && occurrences > 0)) {
+        break;
+      }
+    }
+    return doc;
+  }
+}
+
+export default new ContextBuilder();
@@ -0,0 +1,185 @@
+import analysisCache from "./analysisCache.js";
+import { extractJson } from "./analysisSchema.js";
+
+const VERIFICATION_SCHEMA = {
+  type: "object",
+  properties: {
+    valid: { type: "boolean" },
+    confidence: { type: "number" },
+    reason: { type: "string" },
+  },
+  required: ["valid", "confidence", "reason"],
+};
+
+/**
+ * Optional second stage after the analysis: every CRITICAL and MAJOR AI
+ * finding is checked again, on its own, against the code around it. The
+ * model's confidence (0-1) is stored on the issue; findings below
+ * `dropBelow` are dropped and findings below `downgradeBelow` lose one
+ * severity level.
+ */
+class FindingVerifier {
+  constructor() {
+    this.dropBelow = parseFloat(process.env.VERIFY_DROP_BELOW || "0.3");
+    this.downgradeBelow = parseFloat(
+      process.env.VERIFY_DOWNGRADE_BELOW || "0.6"
+    );
+    // Lines of code shown on each side of the finding
+    this.windowLines = parseInt(process.env.VERIFY_WINDOW_LINES || "30");
+    this.severities = ["CRITICAL", "MAJOR"];
+  }
+
+  /**
+   * Whether a finding goes through verification
+   */
+  shouldVerify(finding) {
+    return (
+      (finding.source || "AI") === "AI" &&
+      this.severities.includes(finding.severity)
+    );
+  }
+
+  buildPrompt(finding, code, { filePath, language }) {
+    const range =
+      finding.lineEnd > finding.line
+        ? `${finding.line}-${finding.lineEnd}`
+        : finding.line;
+
+    return `You are double-checking an automated code review of ${filePath} (${language}). Another reviewer reported this issue:
+
+Lines: ${range}
+Severity: ${finding.severity}
+Title: ${finding.title}
+Description: ${finding.description}
+
+Code (each line starts with its line number in the file, then "|"):
+\`\`\`${language}
+${code}
+\`\`\`
+
+Decide whether the issue really exists in this code as described. Reject it when the code already handles the case, when it depends on code not shown here that may well be correct, or when the description does not match the lines.
+
+Respond ONLY with this JSON:
+{
+  "valid": true | false,
+  "confidence": <0 to 1, how sure you are that the issue is real>,
+  "reason": "<one sentence>"
+}`;
+  }
+
+  /**
+   * Verify the findings that qualify and return the findings to keep,
+   * with `confidence` set on the verified ones. `ai` is the review's AI
+   * client and `formatCode(from, to)` renders the numbered code for a line
+   * range. A finding whose
+   * verification fails is kept unverified. `stats` counts verified,
+   * downgraded and dropped findings; `tokens` sums used and cached tokens.
+   */
+  async verify(
+    findings,
+    { ai, formatCode, filePath, language },
+    stats,
+    tokens
+  ) {
+    const kept = [];
+
+    for (const finding of findings) {
+      if (!this.shouldVerify(finding)) {
+        kept.push(finding);
+        continue;
+      }
+
+      const code = formatCode(
+        finding.line - this.windowLines,
+        (finding.lineEnd || finding.line) + this.windowLines
+      );
+      let result;
+      try {
+        result = await this.check(
+          finding,
+          code,
+          { ai, filePath, language },
+          tokens
+        );
+      } catch (error) {
+        console.error(
+          `Failed to verify "${finding.title}" in ${filePath}:`,
+          error.message
+        );
+        kept.push(finding);
+        continue;
+      }
+
+      stats.verified++;
+      const confidence = result.valid
+        ? result.confidence
+        : Math.min(result.confidence, 1 - result.confidence);
+
+      if (confidence < this.dropBelow) {
+        stats.dropped++;
+      } else if (confidence < this.downgradeBelow) {
+        stats.downgraded++;
+        const severity = finding.severity === "CRITICAL" ? "MAJOR" : "MINOR";
+        kept.push({
+          ...finding,
+          severity,
+          confidence,
+          description: `${finding.description}\n\n(Verification was not sure this is a real problem, downgraded from ${finding.severity}: ${result.reason})`,
+        });
+      } else {
+        kept.push({ ...finding, confidence });
+      }
+    }
+
+    return kept;
+  }
+
+  /**
+   * One verification call, reusing a cached answer for the same prompt
+   */
+  async check(finding, code, context, tokens) {
+    const prompt = this.buildPrompt(finding, code, context);
+    const cacheKey = analysisCache.buildKey({
+      code: prompt,
+      language: context.language,
+      ...context.ai.getCacheIdentity(),
+      promptExtras: "verification",
+    });
+
+    const cached = await analysisCache.get(cacheKey);
+    if (cached) {
+      tokens.cached += cached.tokensUsed || 0;
+      return cached.analysis;
+    }
+
+    const { text, tokensUsed } = await context.ai.generate(
+      prompt,
+      VERIFICATION_SCHEMA
+    );
+    tokens.used += tokensUsed || 0;
+
+    const data = extractJson(text);
+    if (
+      typeof data.valid !== "boolean" ||
+      typeof data.confidence !== "number" ||
+      data.confidence < 0 ||
+      data.confidence > 1
+    ) {
+      throw new Error("the verification response does not match the schema");
+    }
+    const result = {
+      valid: data.valid,
+      confidence: data.confidence,
+      reason: typeof data.reason === "string" ? data.reason : "",
+    };
+
+    await analysisCache.set(cacheKey, {
+      ...context.ai.getCacheIdentity(),
+      analysis: result,
+      tokensUsed,
+    });
+    return result;
+  }
+}
+
+export default new FindingVerifier();
@@ -1,4 +1,10 @@
 import { GoogleGenerativeAI } from "@google/generative-ai";
+import { buildPromptExtras } from "./promptSections.js";
+import { describePass } from "./analysisPasses.js";
+import {
+  ANALYSIS_SCHEMA,
+  generateValidatedAnalysis,
+} from "./analysisSchema.js";
 
 class GeminiService {
   constructor() {
@@ -6,6 +12,11 @@ class GeminiService {
     this.model = process.env.GEMINI_MODEL || "gemini-2.0-flash-lite	";
     this.genAI = null;
     this.generativeModel = null;
+    this.concurrency = parseInt(process.env.GEMINI_CONCURRENCY || "6");
+    // Bump whenever buildAnalysisPrompt changes so cached results are redone
+    this.promptVersion = 6;
+    // Responses that fail validation are re-prompted up to this many times in total
+    this.analysisAttempts = parseInt(process.env.LLM_ANALYSIS_ATTEMPTS || "3");
 
     if (this.apiKey) {
       this.genAI = new GoogleGenerativeAI(this.apiKey);
@@ -15,6 +26,19 @@ class GeminiService {
     }
   }
 
+  /**
+   * This service with another model, leaving this one unchanged
+   */
+  withModel(model) {
+    if (!model || model === this.model) return this;
+    return Object.assign(Object.create(this), {
+      model,
+      generativeModel: this.genAI
+        ? this.genAI.getGenerativeModel({ model })
+        : null,
+    });
+  }
+
   /**
    * Check if Gemini API is configured and working
    */
@@ -65,7 +89,7 @@ class GeminiService {
   /**
    * Analyze code and detect issues
    */
-  async analyzeCode(code, filePath, language, standards = []) {
+  async analyzeCode(code, filePath, language, standards = [], options = {}) {
     if (!this.generativeModel) {
       throw new Error("Gemini API not configured. Please set GEMINI_API_KEY.");
     }
@@ -74,28 +98,49 @@ class GeminiService {
       code,
       filePath,
       language,
-      standards
+      standards,
+      options
     );
 
     try {
-      const result = await this.generativeModel.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
-
-      // Estimate token usage (Gemini doesn't provide exact counts in the same way)
-      const estimatedTokens = Math.ceil((prompt.length + text.length) / 4);
-
-      return {
-        analysis: this.parseAnalysisResponse(text),
-        tokensUsed: estimatedTokens,
-        rawResponse: text,
-      };
+      return await generateValidatedAnalysis(
+        (text) => this.generate(text, ANALYSIS_SCHEMA),
+        prompt,
+        this.analysisAttempts
+      );
     } catch (error) {
       console.error("Gemini code analysis failed:", error);
-      throw new Error(`Gemini analysis failed: ${error.message}`);
+      const failure = new Error(`Gemini analysis failed: ${error.message}`);
+      failure.tokensUsed = error.tokensUsed;
+      throw failure;
     }
   }
 
+  /**
+   * One completion in JSON mode, constrained to `schema` when given
+   */
+  async generate(prompt, schema) {
+    if (!this.generativeModel) {
+      throw new Error("Gemini API not configured. Please set GEMINI_API_KEY.");
+    }
+
+    const result = await this.generativeModel.generateContent({
+      contents: [{ role: "user", parts: [{ text: prompt }] }],
+      generationConfig: {
+        responseMimeType: "application/json",
+        responseSchema: schema || undefined,
+      },
+    });
+    const response = await result.response;
+    const text = response.text();
+
+    // Estimate token usage (Gemini doesn't provide exact counts in the same way)
+    return {
+      text,
+      tokensUsed: Math.ceil((prompt.length + text.length) / 4),
+    };
+  }
+
   /**
    * Generate automatic fix for an issue
    */
@@ -188,32 +233,36 @@ Respond in this JSON format:
   /**
    * Build comprehensive analysis prompt
    */
-  buildAnalysisPrompt(code, filePath, language, standards) {
+  buildAnalysisPrompt(code, filePath, language, standards, options = {}) {
     const standardsText =
       standards.length > 0
         ? `\n\nCoding Standards to check:\n${standards
             .map((s) => `- ${s.name}: ${s.description || ""}`)
             .join("\n")}`
         : "";
+    const extras = buildPromptExtras(options);
+    const pass = describePass(options.pass);
 
-    return `You are an expert code reviewer specialized in ${language}. Perform a comprehensive multi-dimensional analysis of the following code.${standardsText}
+    return `You are an expert code reviewer specialized in ${language}. Analyze the following code for ${pass.focus}. Only report issues of this kind; other reviews cover the remaining dimensions.${standardsText}${extras}
 
 File: ${filePath}
 Language: ${language}
 
-Code:
+Code (each line starts with its line number in the file, then "|"; "..." marks skipped lines):
 \`\`\`${language}
 ${code}
 \`\`\`
 
-Provide a detailed analysis in the following JSON format:
+Report "line" and "lineEnd" using the line numbers shown before "|", not positions within this snippet.
+
+Provide a detailed analysis in the following JSON format; use "issues": [] when there are none:
 {
   "issues": [
     {
       "line": <line number>,
       "lineEnd": <end line number if multi-line>,
       "severity": "CRITICAL" | "MAJOR" | "MINOR" | "INFO",
-      "category": "bug" | "security" | "performance" | "style" | "maintainability" | "testing" | "architecture" | "documentation" | "ci-cd",
+      "category": ${pass.categoryList},
       "title": "<short issue title>",
       "description": "<detailed explanation>",
       "suggestion": "<how to fix it>",
@@ -236,119 +285,9 @@ Provide a detailed analysis in the following JSON format:
   }
 }
 
-Analyze across multiple dimensions:
-1. **Security**: SQL injection, XSS, authentication flaws, data exposure, insecure dependencies
-2. **Bugs & Logic**: Error handling, edge cases, null checks, logic errors, race conditions
-3. **Performance**: Algorithm efficiency, memory leaks, database queries, caching opportunities
-4. **Code Quality**: Style violations, code smells, complexity, readability, maintainability
-5. **Testing**: Missing tests, test coverage, test quality, testability
-6. **Architecture**: Design patterns, separation of concerns, coupling, scalability
-7. **Documentation**: Missing docstrings, unclear comments, outdated documentation
-8. **CI/CD**: Build issues, deployment concerns, environment configuration
-
 Be specific, actionable, and provide clear explanations with line numbers.`;
   }
 
-  /**
-   * Parse LLM response to extract issues
-   */
-  parseAnalysisResponse(response) {
-    try {
-      // Try to extract JSON from markdown code blocks or raw text
-      let jsonMatch = response.match(/```(?:json)?\s*(\{[\s\S]*?\})\s*```/);
-
-      if (!jsonMatch) {
-        // Try without code blocks
-        jsonMatch = response.match(/\{[\s\S]*\}/);
-      }
-
-      if (jsonMatch) {
-        const jsonStr = jsonMatch[1] || jsonMatch[0];
-        const parsed = JSON.parse(jsonStr);
-
-        // Validate and normalize the structure
-        const issues = Array.isArray(parsed.issues) ? parsed.issues : [];
-
-        // Ensure each issue has required fields
-        const validIssues = issues
-          .filter(
-            (issue) =>
-              issue.title &&
-              issue.description &&
-              issue.severity &&
-              issue.category &&
-              issue.line !== undefined
-          )
-          .map((issue) => ({
-            line: issue.line || 1,
-            lineEnd: issue.lineEnd || issue.line || 1,
-            severity: issue.severity || "INFO",
-            category: issue.category || "style",
-            title: issue.title,
-            description: issue.description,
-            suggestion: issue.suggestion || "",
-            autoFixable: Boolean(issue.autoFixable),
-            standard: issue.standard || null,
-            documentationNeeded: issue.documentationNeeded || null,
-          }));
-
-        return {
-          issues: validIssues,
-          summary: parsed.summary || {
-            critical: validIssues.filter((i) => i.severity === "CRITICAL")
-              .length,
-            major: validIssues.filter((i) => i.severity === "MAJOR").length,
-            minor: validIssues.filter((i) => i.severity === "MINOR").length,
-            info: validIssues.filter((i) => i.severity === "INFO").length,
-          },
-          recommendations: {
-            documentation: Array.isArray(parsed.recommendations?.documentation)
-              ? parsed.recommendations.documentation
-              : [],
-            testing: Array.isArray(parsed.recommendations?.testing)
-              ? parsed.recommendations.testing
-              : [],
-            architecture: Array.isArray(parsed.recommendations?.architecture)
-              ? parsed.recommendations.architecture
-              : [],
-            cicd: Array.isArray(parsed.recommendations?.cicd)
-              ? parsed.recommendations.cicd
-              : [],
-          },
-        };
-      }
-
-      // If no JSON found, return empty result
-      console.warn(
-        "Could not parse Gemini response as JSON. Response:",
-        response.substring(0, 200)
-      );
-      return {
-        issues: [],
-        summary: { critical: 0, major: 0, minor: 0, info: 0 },
-        recommendations: {
-          documentation: [],
-          testing: [],
-          architecture: [],
-          cicd: [],
-        },
-      };
-    } catch (error) {
-      console.error("Failed to parse analysis response:", error.message);
-      console.error("Response excerpt:", response.substring(0, 500));
-      return {
-        issues: [],
-        summary: { critical: 0, major: 0, minor: 0, info: 0 },
-        recommendations: {
-          documentation: [],
-          testing: [],
-          architecture: [],
-          cicd: [],
-        },
-      };
-    }
-  }
-
   /**
    * Extract fixed code from response
    */
@@ -0,0 +1,234 @@
+import { prisma } from "../server.js";
+
+/**
+ * Persistent job queue backed by the ReviewJob table.
+ *
+ * Jobs survive a server restart: anything left RUNNING by a crashed process
+ * is put back on the queue (or failed once it runs out of attempts) when the
+ * queue starts. A job whose handler throws is queued again the same way
+ * until it runs out of attempts, waiting longer before each retry.
+ */
+class JobQueue {
+  constructor() {
+    this.handlers = {};
+    this.pollInterval = parseInt(process.env.JOB_POLL_INTERVAL_MS || "2000");
+    this.concurrency = parseInt(process.env.JOB_CONCURRENCY || "1");
+    this.maxAttempts = parseInt(process.env.JOB_MAX_ATTEMPTS || "2");
+    // Delay before the first retry of a failed job, doubled for each later one
+    this.retryDelay = parseInt(process.env.JOB_RETRY_DELAY_MS || "30000");
+    this.running = 0;
+    this.timer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Register the function that processes jobs of a given type
+   */
+  registerHandler(type, handler) {
+    this.handlers[type] = handler;
+  }
+
+  /**
+   * Add a job to the queue and wake up the worker. The payload (raw diffs
+   * and file contents, secrets included) is cleared once the job finishes.
+   */
+  async enqueue(type, reviewId, payload = {}) {
+    const job = await prisma.reviewJob.create({
+      data: {
+        type,
+        reviewId,
+        payload,
+        maxAttempts: this.maxAttempts,
+      },
+    });
+
+    setImmediate(() => this.poll());
+    return job;
+  }
+
+  /**
+   * Recover interrupted jobs and start polling for new ones
+   */
+  async start() {
+    if (this.timer) return;
+
+    const stale = await prisma.reviewJob.findMany({
+      where: { status: "RUNNING" },
+    });
+
+    for (const job of stale) {
+      const exhausted = this.isLastAttempt(job);
+      await prisma.reviewJob.update({
+        where: { id: job.id },
+        data: exhausted
+          ? {
+              status: "FAILED",
+              payload: {},
+              lastError: "Job interrupted by server restart",
+              finishedAt: new Date(),
+            }
+          : { status: "QUEUED", lockedAt: null },
+      });
+
+      if (exhausted) {
+        await prisma.codeReview.update({
+          where: { id: job.reviewId },
+          data: {
+            status: "FAILED",
+            error: "Review interrupted by server restart",
+          },
+        });
+      }
+    }
+
+    if (stale.length > 0) {
+      console.log(`Recovered ${stale.length} interrupted review job(s)`);
+    }
+
+    this.timer = setInterval(() => this.poll(), this.pollInterval);
+    this.poll();
+  }
+
+  /**
+   * Stop polling (running jobs are allowed to finish)
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Claim queued jobs until the concurrency limit is reached
+   */
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      while (this.running < this.concurrency) {
+        const job = await this.claimNext();
+        if (!job) break;
+
+        this.running++;
+        this.runJob(job).finally(() => {
+          this.running--;
+          setImmediate(() => this.poll());
+        });
+      }
+    } catch (error) {
+      console.error("Job queue poll failed:", error.message);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Atomically move the oldest queued job that is not waiting for a retry
+   * to RUNNING
+   */
+  async claimNext() {
+    const next = await prisma.reviewJob.findFirst({
+      where: {
+        status: "QUEUED",
+        OR: [{ runAfter: null }, { runAfter: { lte: new Date() } }],
+      },
+      orderBy: { createdAt: "asc" },
+    });
+
+    if (!next) return null;
+
+    // Guard against another worker claiming the same job
+    const claimed = await prisma.reviewJob.updateMany({
+      where: { id: next.id, status: "QUEUED" },
+      data: {
+        status: "RUNNING",
+        attempts: { increment: 1 },
+        lockedAt: new Date(),
+        startedAt: next.startedAt || new Date(),
+      },
+    });
+
+    if (claimed.count === 0) {
+      return this.claimNext();
+    }
+
+    return prisma.reviewJob.findUnique({ where: { id: next.id } });
+  }
+
+  /**
+   * Whether a failure of this run is final. Handlers check it before
+   * marking their review as failed.
+   */
+  isLastAttempt(job) {
+    return job.attempts >= job.maxAttempts;
+  }
+
+  /**
+   * Run a claimed job through its handler and record the outcome
+   */
+  async runJob(job) {
+    const handler = this.handlers[job.type];
+
+    try {
+      if (!handler) {
+        throw new Error(`No handler registered for job type "${job.type}"`);
+      }
+
+      await handler(job);
+
+      await prisma.reviewJob.update({
+        where: { id: job.id },
+        data: {
+          status: "COMPLETED",
+          payload: {},
+          finishedAt: new Date(),
+          lockedAt: null,
+        },
+      });
+    } catch (error) {
+      const retry = !this.isLastAttempt(job);
+      console.error(
+        `Job ${job.id} (${job.type}) failed (attempt ${job.attempts} of ${
+          job.maxAttempts
+        })${retry ? ", retrying" : ""}:`,
+        error.message
+      );
+      try {
+        await prisma.reviewJob.update({
+          where: { id: job.id },
+          data: retry
+            ? {
+                status: "QUEUED",
+                lastError: error.message,
+                lockedAt: null,
+                runAfter: new Date(Date.now() + this.getRetryDelay(job)),
+              }
+            : {
+                status: "FAILED",
+                payload: {},
+                lastError: error.message,
+                finishedAt: new Date(),
+                lockedAt: null,
+              },
+        });
+      } catch (updateError) {
+        // Left RUNNING, the job is recovered on the next start
+        console.error(
+          `Failed to record the failure of job ${job.id}:`,
+          updateError.message
+        );
+      }
+    }
+  }
+
+  /**
+   * Wait before retrying a job after its failed attempt
+   */
+  getRetryDelay(job) {
+    return this.retryDelay * 2 ** Math.max(0, job.attempts - 1);
+  }
+}
+
+export default new JobQueue();
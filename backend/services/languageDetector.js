@@ -0,0 +1,104 @@
+import path from "path";
+
+/**
+ * Detection of infrastructure and configuration files that have no
+ * telling extension: Dockerfiles, CI pipelines, compose files, Terraform,
+ * SQL migrations, Prisma schemas and shell scripts, matched by path, file
+ * name or shebang.
+ * Findings in these files belong to the "ci-cd" category.
+ */
+class LanguageDetector {
+  constructor() {
+    // First match wins; tested against the path relative to the repository
+    this.pathPatterns = [
+      {
+        pattern: /(^|\/)\.github\/workflows\/[^/]+\.ya?ml$/,
+        language: "github-actions",
+      },
+      {
+        pattern: /(^|\/)\.github\/actions\/.+\/action\.ya?ml$/,
+        language: "github-actions",
+      },
+      { pattern: /(^|\/)\.gitlab-ci\.ya?ml$/, language: "gitlab-ci" },
+      { pattern: /(^|\/)\.gitlab\/ci\/.+\.ya?ml$/, language: "gitlab-ci" },
+      {
+        pattern: /(^|\/)(docker-)?compose(\.[\w-]+)?\.ya?ml$/,
+        language: "docker-compose",
+      },
+      {
+        pattern: /(^|\/)(Dockerfile|Containerfile)(\.[\w-]+)?$/,
+        language: "dockerfile",
+      },
+      { pattern: /\.dockerfile$/i, language: "dockerfile" },
+      { pattern: /\.(tf|tfvars)$/, language: "terraform" },
+      { pattern: /\.sql$/i, language: "sql" },
+      { pattern: /\.prisma$/, language: "prisma" },
+      { pattern: /\.(sh|bash|zsh)$/, language: "shell" },
+    ];
+
+    // Interpreters named on a "#!" line
+    this.shebangInterpreters = {
+      sh: "shell",
+      bash: "shell",
+      zsh: "shell",
+      dash: "shell",
+      ksh: "shell",
+      node: "javascript",
+      python: "python",
+      python3: "python",
+      ruby: "ruby",
+      php: "php",
+    };
+
+    this.infrastructureLanguages = new Set([
+      "github-actions",
+      "gitlab-ci",
+      "docker-compose",
+      "dockerfile",
+      "terraform",
+      "sql",
+      "prisma",
+      "shell",
+    ]);
+  }
+
+  /**
+   * Language of an infrastructure file from its path, or of an
+   * extensionless script from its first line. Undefined when unknown.
+   */
+  detect(filePath, firstLine = "") {
+    const match = this.pathPatterns.find(({ pattern }) =>
+      pattern.test(filePath)
+    );
+    if (match) return match.language;
+
+    if (path.extname(filePath) === "") {
+      return this.fromShebang(firstLine);
+    }
+    return undefined;
+  }
+
+  /**
+   * Language named by a shebang line such as "#!/usr/bin/env bash"
+   */
+  fromShebang(line) {
+    const match = line.match(
+      /^#!\s*(?:\S*\/)?(?:env\s+(?:-\S+\s+)*)?([\w.-]+)/
+    );
+    if (!match) return undefined;
+    const interpreter = match[1].replace(/[\d.]+$/, "");
+    return (
+      this.shebangInterpreters[match[1]] ||
+      this.shebangInterpreters[interpreter]
+    );
+  }
+
+  /**
+   * Whether a language is one of the infrastructure file types
+   */
+  isInfrastructure(language) {
+    return this.infrastructureLanguages.has(language);
+  }
+}
+
+export default new LanguageDetector();
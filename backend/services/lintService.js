@@ -0,0 +1,123 @@
+import { Linter } from "eslint";
+import { builtinRules } from "eslint/use-at-your-own-risk";
+import js from "@eslint/js";
+import globals from "globals";
+import tsParser from "@typescript-eslint/parser";
+
+/**
+ * Deterministic ESLint pass over JavaScript and TypeScript files.
+ *
+ * Files are linted in memory with the recommended rule set, so results do
+ * not depend on the configuration of the repository under review. Findings
+ * use the same shape as AI findings and are saved with a source of LINTER.
+ */
+class LintService {
+  constructor() {
+    this.enabled = process.env.LINT_ENABLED !== "false";
+    this.linter = new Linter({ configType: "flat" });
+
+    const sharedOptions = {
+      ecmaVersion: "latest",
+      sourceType: "module",
+      globals: { ...globals.browser, ...globals.node },
+    };
+
+    this.configs = {
+      javascript: [
+        {
+          files: ["**/*.{js,jsx,mjs,cjs}"],
+          languageOptions: {
+            ...sharedOptions,
+            parserOptions: { ecmaFeatures: { jsx: true } },
+          },
+          rules: {
+            ...js.configs.recommended.rules,
+            // Core scope analysis does not see components used only in JSX
+            "no-unused-vars": ["error", { varsIgnorePattern: "^[A-Z_]" }],
+          },
+        },
+      ],
+      typescript: [
+        {
+          files: ["**/*.{ts,tsx,mts,cts}"],
+          languageOptions: { ...sharedOptions, parser: tsParser },
+          rules: {
+            ...js.configs.recommended.rules,
+            // The compiler checks these, and the core rules misread types
+            "no-undef": "off",
+            "no-unused-vars": "off",
+            "no-redeclare": "off",
+          },
+        },
+      ],
+    };
+  }
+
+  /**
+   * Whether files of a language can be linted
+   */
+  canLint(language) {
+    return this.enabled && Boolean(this.configs[language]);
+  }
+
+  /**
+   * Lint a whole file. Returns findings with real line numbers, or an
+   * empty list when the file cannot be parsed.
+   */
+  lint(content, filePath, language) {
+    if (!this.canLint(language)) return [];
+
+    let messages;
+    try {
+      messages = this.linter.verify(content, this.configs[language], {
+        filename: filePath,
+      });
+    } catch (error) {
+      console.error(`ESLint failed on ${filePath}:`, error.message);
+      return [];
+    }
+
+    // A parse error means the file is not valid on its own; leave it to the AI
+    if (messages.some((m) => m.fatal)) {
+      console.log(`Skipping lint for ${filePath}: file does not parse`);
+      return [];
+    }
+
+    return messages
+      .filter((m) => m.ruleId)
+      .map((m) => ({
+        line: m.line,
+        lineEnd: m.endLine && m.endLine !== m.line ? m.endLine : undefined,
+        lineVerified: true,
+        ...this.classify(m.ruleId),
+        title: `${m.ruleId}: ${m.message}`,
+        description: this.describe(m),
+        suggestion: m.suggestions?.[0]?.desc || null,
+        autoFixable: Boolean(m.fix),
+        source: "LINTER",
+        ruleId: m.ruleId,
+      }));
+  }
+
+  /**
+   * Message plus a link to the rule's documentation
+   */
+  describe(message) {
+    const url = builtinRules.get(message.ruleId)?.meta?.docs?.url;
+    return url
+      ? `${message.message}\n\nRule documentation: ${url}`
+      : message.message;
+  }
+
+  /**
+   * Severity and category for a rule: likely bugs versus style
+   */
+  classify(ruleId) {
+    const type = builtinRules.get(ruleId)?.meta?.type;
+    return type === "problem"
+      ? { severity: "MAJOR", category: "bug" }
+      : { severity: "MINOR", category: "style" };
+  }
+}
+
+export default new LintService();
@@ -1,4 +1,10 @@
 import { Ollama } from "ollama";
+import { buildPromptExtras } from "./promptSections.js";
+import { describePass } from "./analysisPasses.js";
+import {
+  ANALYSIS_SCHEMA,
+  generateValidatedAnalysis,
+} from "./analysisSchema.js";
 
 class LLMService {
   constructor() {
@@ -7,6 +13,22 @@ class LLMService {
     });
     this.model = process.env.OLLAMA_MODEL || "llama3.2:latest";
     this.maxTokens = parseInt(process.env.MAX_TOKENS || "4096");
+    // Bump whenever buildAnalysisPrompt changes so cached results are redone
+    this.promptVersion = 6;
+    // Responses that fail validation are re-prompted up to this many times in total
+    this.analysisAttempts = parseInt(process.env.LLM_ANALYSIS_ATTEMPTS || "3");
+    // Ollama 0.5+ can constrain output to a JSON schema
+    this.structuredOutput = process.env.OLLAMA_STRUCTURED_OUTPUT !== "false";
+    // Local models share one machine: keep parallel requests low
+    this.concurrency = parseInt(process.env.OLLAMA_CONCURRENCY || "2");
+  }
+
+  /**
+   * This service with another model, leaving this one unchanged
+   */
+  withModel(model) {
+    if (!model || model === this.model) return this;
+    return Object.assign(Object.create(this), { model });
   }
 
   /**
@@ -47,52 +69,66 @@ class LLMService {
   /**
    * Analyze code and detect issues
    */
-  async analyzeCode(code, filePath, language, standards = []) {
+  async analyzeCode(code, filePath, language, standards = [], options = {}) {
     const prompt = this.buildAnalysisPrompt(
       code,
       filePath,
       language,
-      standards
+      standards,
+      options
     );
 
     try {
-      let response = "";
-      let tokensUsed = 0;
-      let promptTokens = 0;
-
-      const stream = await this.ollama.generate({
-        model: this.model,
+      return await generateValidatedAnalysis(
+        (text) => this.generate(text, ANALYSIS_SCHEMA),
         prompt,
-        stream: true,
-        options: {
-          temperature: 0.3, // Lower temperature for more consistent analysis
-          num_predict: Math.min(this.maxTokens, 512), // Limit to 512 tokens for faster response
-        },
-      });
-
-      for await (const chunk of stream) {
-        response += chunk.response;
-        if (chunk.eval_count) {
-          tokensUsed = chunk.eval_count;
-        }
-        if (chunk.prompt_eval_count) {
-          promptTokens = chunk.prompt_eval_count;
-        }
-      }
-
-      const totalTokens = tokensUsed + promptTokens;
-
-      return {
-        analysis: this.parseAnalysisResponse(response),
-        tokensUsed: totalTokens || Math.ceil(prompt.length / 4), // Estimate if not provided
-        rawResponse: response,
-      };
+        this.analysisAttempts
+      );
     } catch (error) {
       console.error("Code analysis failed:", error);
-      throw new Error(`LLM analysis failed: ${error.message}`);
+      const failure = new Error(`LLM analysis failed: ${error.message}`);
+      failure.tokensUsed = error.tokensUsed;
+      throw failure;
     }
   }
 
+  /**
+   * One streamed JSON completion, constrained to `schema` when structured
+   * output is enabled
+   */
+  async generate(prompt, schema) {
+    let response = "";
+    let tokensUsed = 0;
+    let promptTokens = 0;
+
+    const stream = await this.ollama.generate({
+      model: this.model,
+      prompt,
+      stream: true,
+      format: this.structuredOutput ? schema : undefined,
+      options: {
+        temperature: 0.3, // Lower temperature for more consistent analysis
+        num_predict: this.maxTokens,
+      },
+    });
+
+    for await (const chunk of stream) {
+      response += chunk.response;
+      if (chunk.eval_count) {
+        tokensUsed = chunk.eval_count;
+      }
+      if (chunk.prompt_eval_count) {
+        promptTokens = chunk.prompt_eval_count;
+      }
+    }
+
+    const totalTokens = tokensUsed + promptTokens;
+    return {
+      text: response,
+      tokensUsed: totalTokens || Math.ceil(prompt.length / 4), // Estimate if not provided
+    };
+  }
+
   /**
    * Generate automatic fix for an issue
    */
@@ -199,32 +235,36 @@ Respond in this JSON format:
   /**
    * Build comprehensive analysis prompt
    */
-  buildAnalysisPrompt(code, filePath, language, standards) {
+  buildAnalysisPrompt(code, filePath, language, standards, options = {}) {
     const standardsText =
       standards.length > 0
         ? `\n\nCoding Standards to check:\n${standards
             .map((s) => `- ${s.name}: ${s.description || ""}`)
             .join("\n")}`
         : "";
+    const extras = buildPromptExtras(options);
+    const pass = describePass(options.pass);
 
     // Simplified prompt for faster local processing
-    return `You are a code reviewer for ${language}. Quickly analyze this code and find the top 3 most important issues.${standardsText}
+    return `You are a code reviewer for ${language}. Review this code for ${pass.focus}. Only report issues of this kind; other reviews cover everything else.${standardsText}${extras}
 
 File: ${filePath}
 
-Code:
+Code (each line starts with its line number in the file, then "|"; "..." marks skipped lines):
 \`\`\`${language}
 ${code}
 \`\`\`
 
-Respond ONLY with this JSON format (no explanations):
+Use the line numbers shown before "|" for "line" and "lineEnd".
+
+Respond ONLY with this JSON format (no explanations); use "issues": [] when there are none:
 {
   "issues": [
     {
       "line": <line number>,
       "lineEnd": <end line number if multi-line>,
       "severity": "CRITICAL" | "MAJOR" | "MINOR" | "INFO",
-      "category": "bug" | "security" | "performance" | "style" | "maintainability" | "testing" | "architecture" | "documentation" | "ci-cd",
+      "category": ${pass.categoryList},
       "title": "<short issue title>",
       "description": "<detailed explanation>",
       "suggestion": "<how to fix it>",
@@ -247,107 +287,7 @@ Respond ONLY with this JSON format (no explanations):
   }
 }
 
-Focus on: critical bugs, security issues, and major code quality problems. Be concise.`;
-  }
-
-  /**
-   * Parse LLM response to extract issues
-   */
-  parseAnalysisResponse(response) {
-    try {
-      // Try to extract JSON from markdown code blocks or raw text
-      let jsonMatch = response.match(/```(?:json)?\s*(\{[\s\S]*?\})\s*```/);
-
-      if (!jsonMatch) {
-        // Try without code blocks
-        jsonMatch = response.match(/\{[\s\S]*\}/);
-      }
-
-      if (jsonMatch) {
-        const jsonStr = jsonMatch[1] || jsonMatch[0];
-        const parsed = JSON.parse(jsonStr);
-
-        // Validate and normalize the structure
-        const issues = Array.isArray(parsed.issues) ? parsed.issues : [];
-
-        // Ensure each issue has required fields
-        const validIssues = issues
-          .filter(
-            (issue) =>
-              issue.title &&
-              issue.description &&
-              issue.severity &&
-              issue.category &&
-              issue.line !== undefined
-          )
-          .map((issue) => ({
-            line: issue.line || 1,
-            lineEnd: issue.lineEnd || issue.line || 1,
-            severity: issue.severity || "INFO",
-            category: issue.category || "style",
-            title: issue.title,
-            description: issue.description,
-            suggestion: issue.suggestion || "",
-            autoFixable: Boolean(issue.autoFixable),
-            standard: issue.standard || null,
-            documentationNeeded: issue.documentationNeeded || null,
-          }));
-
-        return {
-          issues: validIssues,
-          summary: parsed.summary || {
-            critical: validIssues.filter((i) => i.severity === "CRITICAL")
-              .length,
-            major: validIssues.filter((i) => i.severity === "MAJOR").length,
-            minor: validIssues.filter((i) => i.severity === "MINOR").length,
-            info: validIssues.filter((i) => i.severity === "INFO").length,
-          },
-          recommendations: {
-            documentation: Array.isArray(parsed.recommendations?.documentation)
-              ? parsed.recommendations.documentation
-              : [],
-            testing: Array.isArray(parsed.recommendations?.testing)
-              ? parsed.recommendations.testing
-              : [],
-            architecture: Array.isArray(parsed.recommendations?.architecture)
-              ? parsed.recommendations.architecture
-              : [],
-            cicd: Array.isArray(parsed.recommendations?.cicd)
-              ? parsed.recommendations.cicd
-              : [],
-          },
-        };
-      }
-
-      // If no JSON found, return empty result
-      console.warn(
-        "Could not parse LLM response as JSON. Response:",
-        response.substring(0, 200)
-      );
-      return {
-        issues: [],
-        summary: { critical: 0, major: 0, minor: 0, info: 0 },
-        recommendations: {
-          documentation: [],
-          testing: [],
-          architecture: [],
-          cicd: [],
-        },
-      };
-    } catch (error) {
-      console.error("Failed to parse analysis response:", error.message);
-      console.error("Response excerpt:", response.substring(0, 500));
-      return {
-        issues: [],
-        summary: { critical: 0, major: 0, minor: 0, info: 0 },
-        recommendations: {
-          documentation: [],
-          testing: [],
-          architecture: [],
-          cicd: [],
-        },
-      };
-    }
+Report each real problem once, the most important first. Be concise.`;
   }
 
   /**
@@ -0,0 +1,722 @@
+/**
+ * Safety checks for database schema changes.
+ *
+ * SQL migrations are split into statements and checked for destructive or
+ * risky operations: dropped tables and columns, NOT NULL without a default,
+ * type changes, foreign keys without an index, and renames written as a
+ * drop plus an add. Prisma schema diffs get the equivalent checks on the
+ * added and removed field lines. Findings are saved with a source of
+ * MIGRATION; the model is then asked to explain the data-loss risk of each.
+ */
+class MigrationAnalyzer {
+  constructor() {
+    this.enabled = process.env.MIGRATION_CHECKS_ENABLED !== "false";
+
+    // Target types that can truncate or reject existing values
+    this.narrowingTypes =
+      /^(VARCHAR|CHARACTER VARYING|CHAR|CHARACTER|SMALLINT|INT2|INTEGER|INT|INT4|REAL|FLOAT4|DECIMAL|NUMERIC|BOOLEAN)\b/i;
+
+    this.prismaScalars = new Set([
+      "String",
+      "Int",
+      "BigInt",
+      "Float",
+      "Decimal",
+      "Boolean",
+      "DateTime",
+      "Json",
+      "Bytes",
+    ]);
+  }
+
+  /**
+   * Whether files of a language get migration checks
+   */
+  handles(language) {
+    return this.enabled && (language === "sql" || language === "prisma");
+  }
+
+  /**
+   * Findings for a unit. `unit.removed` holds the deleted lines of the diff,
+   * numbered with the new-file line they were deleted before.
+   */
+  check(unit) {
+    if (!this.handles(unit.language)) return [];
+
+    const added = unit.lines.filter((l) => l.type === "add");
+    return unit.language === "sql"
+      ? this.checkSql(added.length > 0 ? added : unit.lines)
+      : this.checkPrismaSchema(unit, added);
+  }
+
+  /**
+   * Statements of a SQL script with whitespace collapsed, the line each one
+   * starts on and its source lines. Comments are removed; string literals
+   * are not parsed.
+   */
+  splitStatements(lines) {
+    const statements = [];
+    let text = "";
+    let start = null;
+    let source = [];
+    let inComment = false;
+    const push = () => {
+      if (text.trim()) {
+        statements.push({
+          line: start,
+          sql: text.trim().replace(/\s+/g, " "),
+          lines: source,
+        });
+      }
+      text = "";
+      start = null;
+      source = [];
+    };
+
+    for (const { line, content } of lines) {
+      let rest = content;
+      if (inComment) {
+        const end = rest.indexOf("*/");
+        if (end === -1) continue;
+        rest = rest.slice(end + 2);
+        inComment = false;
+      }
+      rest = rest.replace(/\/\*.*?\*\//g, " ");
+      const open = rest.indexOf("/*");
+      if (open !== -1) {
+        rest = rest.slice(0, open);
+        inComment = true;
+      }
+      rest = rest.replace(/--.*$/, "");
+
+      for (const part of rest.split(/(;)/)) {
+        if (part === ";") {
+          push();
+        } else if (part.trim()) {
+          if (start === null) start = line;
+          text += ` ${part.trim()}`;
+          source.push({ line, content: part.replace(/\s+/g, " ") });
+        }
+      }
+    }
+    push();
+
+    return statements;
+  }
+
+  /**
+   * Line of a statement on which one of its clauses starts
+   */
+  lineOf(statement, clause) {
+    const start = clause.split(" ").slice(0, 3).join(" ");
+    return (
+      statement.lines.find((l) => l.content.includes(start))?.line ||
+      statement.line
+    );
+  }
+
+  /**
+   * Split on commas outside parentheses
+   */
+  splitTopLevel(text) {
+    const parts = [];
+    let depth = 0;
+    let current = "";
+    for (const char of text) {
+      if (char === "(") depth++;
+      if (char === ")") depth--;
+      if (char === "," && depth === 0) {
+        parts.push(current.trim());
+        current = "";
+      } else {
+        current += char;
+      }
+    }
+    if (current.trim()) parts.push(current.trim());
+    return parts;
+  }
+
+  unquote(name) {
+    return name.replace(/^["`[]|["`\]]$/g, "");
+  }
+
+  /**
+   * Whether two column or table names look like one renamed to the other:
+   * equal apart from case and separators, one containing the other, sharing
+   * a word of three or more letters, or a few typos apart
+   */
+  similarNames(a, b) {
+    const words = (name) =>
+      name
+        .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean);
+    const wordsA = words(a);
+    const wordsB = words(b);
+    const flatA = wordsA.join("");
+    const flatB = wordsB.join("");
+
+    if (flatA.includes(flatB) || flatB.includes(flatA)) return true;
+    if (wordsA.some((w) => w.length >= 3 && wordsB.includes(w))) return true;
+    return (
+      this.editDistance(flatA, flatB) <=
+      Math.floor(Math.max(flatA.length, flatB.length) / 4)
+    );
+  }
+
+  /**
+   * Levenshtein distance between two strings
+   */
+  editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  checkSql(lines) {
+    const findings = [];
+    const name = `("[^"]+"|\`[^\`]+\`|[\\w.]+)`;
+    const droppedTables = [];
+    const createdTables = [];
+    const droppedColumns = [];
+    const addedColumns = [];
+    const foreignKeys = [];
+    const indexed = new Set();
+
+    for (const statement of this.splitStatements(lines)) {
+      const { line, sql } = statement;
+      let match;
+
+      if (
+        (match = sql.match(
+          new RegExp(`^DROP TABLE (?:IF EXISTS )?${name}`, "i")
+        ))
+      ) {
+        droppedTables.push({ line, table: this.unquote(match[1]) });
+        continue;
+      }
+
+      if (
+        (match = sql.match(
+          new RegExp(
+            `^CREATE TABLE (?:IF NOT EXISTS )?${name}\\s*\\((.*)\\)`,
+            "is"
+          )
+        ))
+      ) {
+        const table = this.unquote(match[1]);
+        createdTables.push({ line, table });
+        for (const definition of this.splitTopLevel(match[2])) {
+          const primaryKey = definition.match(
+            /PRIMARY KEY\s*\(\s*("[^"]+"|\w+)/i
+          );
+          if (primaryKey) {
+            indexed.add(`${table}.${this.unquote(primaryKey[1])}`);
+          } else if (/\bPRIMARY KEY\b/i.test(definition)) {
+            indexed.add(`${table}.${this.unquote(definition.split(/\s+/)[0])}`);
+          }
+        }
+        continue;
+      }
+
+      if (
+        (match = sql.match(
+          new RegExp(
+            `^CREATE (?:UNIQUE )?INDEX .*? ON ${name}\\s*(?:USING \\w+\\s*)?\\(\\s*("[^"]+"|\\w+)`,
+            "i"
+          )
+        ))
+      ) {
+        indexed.add(`${this.unquote(match[1])}.${this.unquote(match[2])}`);
+        continue;
+      }
+
+      if (/^TRUNCATE\b/i.test(sql) || /^DELETE FROM\s+\S+\s*$/i.test(sql)) {
+        findings.push(
+          this.toFinding(
+            line,
+            "CRITICAL",
+            "delete-all-rows",
+            "Statement deletes every row of a table",
+            "The statement removes all existing data from the table. Deploying it to a database with real data loses that data.",
+            "Limit the statement with a WHERE clause, or move data cleanup out of the schema migration."
+          )
+        );
+        continue;
+      }
+
+      if (
+        !(match = sql.match(
+          new RegExp(
+            `^ALTER TABLE (?:ONLY )?(?:IF EXISTS )?${name}\\s+(.*)$`,
+            "is"
+          )
+        ))
+      ) {
+        continue;
+      }
+      const table = this.unquote(match[1]);
+
+      for (const action of this.splitTopLevel(match[2])) {
+        const at = this.lineOf(statement, action);
+        let part;
+        if (
+          (part = action.match(
+            new RegExp(`^DROP (?:COLUMN )?(?:IF EXISTS )?${name}`, "i")
+          )) &&
+          !/^DROP CONSTRAINT\b/i.test(action)
+        ) {
+          droppedColumns.push({
+            line: at,
+            table,
+            column: this.unquote(part[1]),
+          });
+        } else if (
+          (part = action.match(
+            new RegExp(
+              `^ADD (?:COLUMN )?(?:IF NOT EXISTS )?${name}\\s+(.*)$`,
+              "is"
+            )
+          )) &&
+          !/^ADD CONSTRAINT\b/i.test(action)
+        ) {
+          const column = this.unquote(part[1]);
+          addedColumns.push({ line: at, table, column });
+          if (/\bNOT NULL\b/i.test(part[2]) && !/\bDEFAULT\b/i.test(part[2])) {
+            findings.push(
+              this.toFinding(
+                at,
+                "MAJOR",
+                "not-null-without-default",
+                `NOT NULL column ${table}.${column} added without a default`,
+                `Adding a NOT NULL column with no default fails on a table that already has rows, so the migration breaks in every environment with data in ${table}.`,
+                "Add a DEFAULT, or add the column as nullable, backfill it, then set NOT NULL in a later migration."
+              )
+            );
+          }
+        } else if (
+          (part = action.match(
+            new RegExp(`^ALTER (?:COLUMN )?${name}\\s+SET NOT NULL`, "i")
+          ))
+        ) {
+          const column = this.unquote(part[1]);
+          findings.push(
+            this.toFinding(
+              at,
+              "MAJOR",
+              "set-not-null",
+              `Column ${table}.${column} becomes NOT NULL`,
+              `The migration fails if any existing row has NULL in ${table}.${column}.`,
+              "Backfill the NULL values in the same migration before setting NOT NULL."
+            )
+          );
+        } else if (
+          (part = action.match(
+            new RegExp(
+              `^ALTER (?:COLUMN )?${name}\\s+(?:SET DATA )?TYPE\\s+(.+?)(?:\\s+USING\\b.*)?$`,
+              "is"
+            )
+          ))
+        ) {
+          const column = this.unquote(part[1]);
+          const type = part[2].trim();
+          const narrowing = this.narrowingTypes.test(type);
+          findings.push(
+            this.toFinding(
+              at,
+              narrowing ? "MAJOR" : "MINOR",
+              "type-change",
+              narrowing
+                ? `Column ${table}.${column} is narrowed to ${type}`
+                : `Column ${table}.${column} changes type to ${type}`,
+              narrowing
+                ? `Existing values that do not fit ${type} make the migration fail or are truncated. The change also rewrites the table while holding a lock.`
+                : `Changing a column type rewrites the table while holding a lock, and fails if existing values cannot be cast to ${type}.`,
+              "Check existing values fit the new type first, or add a new column, copy the data, and drop the old column later."
+            )
+          );
+        } else if ((part = action.match(/FOREIGN KEY\s*\(\s*("[^"]+"|\w+)/i))) {
+          foreignKeys.push({
+            line: at,
+            table,
+            column: this.unquote(part[1]),
+          });
+        }
+      }
+    }
+
+    // A drop and an add of a similarly named column on the same table is
+    // usually a rename, which loses the column's data. The SQL does not say
+    // what type a dropped column had, so only the names can tell.
+    const renameTargets = new Set();
+    for (const dropped of droppedColumns) {
+      const renamedTo = addedColumns.find(
+        (a) =>
+          a.table === dropped.table &&
+          !renameTargets.has(a) &&
+          this.similarNames(dropped.column, a.column)
+      );
+      if (renamedTo) renameTargets.add(renamedTo);
+      findings.push(
+        renamedTo
+          ? this.toFinding(
+              dropped.line,
+              "CRITICAL",
+              "rename-as-drop",
+              `Column ${dropped.table}.${dropped.column} is dropped while ${renamedTo.column} is added`,
+              `If this is meant as a rename, the migration drops ${dropped.column} with all its data and creates an empty ${renamedTo.column}.`,
+              `Use ALTER TABLE ... RENAME COLUMN to keep the data (with Prisma, edit the generated migration or use @map on the field).`
+            )
+          : this.toFinding(
+              dropped.line,
+              "CRITICAL",
+              "drop-column",
+              `Column ${dropped.table}.${dropped.column} is dropped`,
+              `All data in ${dropped.table}.${dropped.column} is lost, and code still reading the column fails until it is deployed.`,
+              "Stop using the column in a release first, back up the data if it matters, then drop it."
+            )
+      );
+    }
+
+    // Likewise a single dropped and created table with similar names
+    for (const dropped of droppedTables) {
+      const created =
+        droppedTables.length === 1 &&
+        createdTables.length === 1 &&
+        this.similarNames(dropped.table, createdTables[0].table)
+          ? createdTables[0]
+          : null;
+      findings.push(
+        created
+          ? this.toFinding(
+              dropped.line,
+              "CRITICAL",
+              "rename-as-drop",
+              `Table ${dropped.table} is dropped while ${created.table} is created`,
+              `If this is meant as a rename, the migration drops ${dropped.table} with all its rows and creates an empty ${created.table}.`,
+              "Use ALTER TABLE ... RENAME TO to keep the data (with Prisma, edit the generated migration or use @@map on the model)."
+            )
+          : this.toFinding(
+              dropped.line,
+              "CRITICAL",
+              "drop-table",
+              `Table ${dropped.table} is dropped`,
+              `All rows of ${dropped.table} are lost.`,
+              "Make sure nothing reads the table any more and back up its data before dropping it."
+            )
+      );
+    }
+
+    for (const fk of foreignKeys) {
+      if (indexed.has(`${fk.table}.${fk.column}`)) continue;
+      findings.push(
+        this.toFinding(
+          fk.line,
+          "MINOR",
+          "unindexed-foreign-key",
+          `Foreign key ${fk.table}.${fk.column} has no index`,
+          `This migration creates no index starting with ${fk.column}. Joins on the relation and deletes of referenced rows then scan ${fk.table}.`,
+          `Add an index on ${fk.table}(${fk.column}) (with Prisma, @@index([${fk.column}]) on the model).`,
+          "performance"
+        )
+      );
+    }
+
+    return findings.sort((a, b) => a.line - b.line);
+  }
+
+  /**
+   * Models and enums of a Prisma schema with their line ranges
+   */
+  parseSchemaBlocks(lines) {
+    const blocks = [];
+    let current = null;
+    for (const { line, content } of lines) {
+      const start = content.match(/^\s*(model|enum|view|type)\s+(\w+)\s*\{/);
+      if (start) {
+        current = {
+          kind: start[1],
+          name: start[2],
+          start: line,
+          end: line,
+          lines: [],
+        };
+        blocks.push(current);
+      } else if (current && /^\s*\}/.test(content)) {
+        current.end = line;
+        current = null;
+      } else if (current) {
+        current.lines.push({ line, content });
+        current.end = line;
+      }
+    }
+    return blocks;
+  }
+
+  /**
+   * A field declaration on a schema line: name, type, list and optional
+   * markers, and the attributes after the type
+   */
+  parseField(content) {
+    const match = content.match(/^\s*(\w+)\s+(\w+)(\[\])?(\?)?\s*(.*)$/);
+    if (
+      !match ||
+      content.trim().startsWith("//") ||
+      content.trim().startsWith("@@")
+    ) {
+      return null;
+    }
+    return {
+      name: match[1],
+      type: match[2],
+      list: Boolean(match[3]),
+      optional: Boolean(match[4]),
+      attributes: match[5],
+    };
+  }
+
+  checkPrismaSchema(unit, added) {
+    const findings = [];
+    // The whole schema, when available, tells which block a line is in
+    const schemaLines =
+      typeof unit.content === "string"
+        ? unit.content
+            .replace(/\r?\n$/, "")
+            .split(/\r?\n/)
+            .map((content, i) => ({ line: i + 1, content }))
+        : unit.lines;
+    const blocks = this.parseSchemaBlocks(schemaLines);
+    const enums = new Set(
+      blocks.filter((b) => b.kind === "enum").map((b) => b.name)
+    );
+    const blockAt = (line) =>
+      blocks.find((b) => line >= b.start && line <= b.end);
+    const addedLines = new Set(added.map((l) => l.line));
+    const removed = (unit.removed || []).filter((l) => l.content.trim());
+
+    const addedFields = added
+      .map((l) => ({
+        ...l,
+        field: this.parseField(l.content),
+        block: blockAt(l.line),
+      }))
+      .filter((l) => l.field && l.block?.kind === "model");
+    // Fields of removed models go with their table
+    let inRemovedModel = false;
+    const removedFields = removed
+      .filter(({ content }) => {
+        if (/^\s*model\s+\w+\s*\{/.test(content)) inRemovedModel = true;
+        else if (inRemovedModel && /^\s*\}/.test(content)) {
+          inRemovedModel = false;
+          return false;
+        }
+        return !inRemovedModel;
+      })
+      .map((l) => ({
+        ...l,
+        field: this.parseField(l.content),
+        block: blockAt(l.line),
+      }))
+      .filter((l) => l.field);
+    const renameTargets = new Set();
+
+    for (const { line, content } of removed) {
+      const model = content.match(/^\s*model\s+(\w+)\s*\{/);
+      if (
+        model &&
+        !blocks.some((b) => b.kind === "model" && b.name === model[1])
+      ) {
+        findings.push(
+          this.toFinding(
+            line,
+            "CRITICAL",
+            "drop-table",
+            `Model ${model[1]} is removed`,
+            `The generated migration drops the ${model[1]} table and all its rows.`,
+            "Make sure nothing reads the table any more and back up its data before removing the model; use @@map to rename a model without dropping it."
+          )
+        );
+      }
+    }
+
+    for (const removedField of removedFields) {
+      const { field, line } = removedField;
+      const modelName = removedField.block?.name;
+      if (removedField.block && removedField.block.kind !== "model") continue;
+      if (!this.isColumn(field, enums)) continue;
+
+      const sameName = addedFields.find(
+        (a) => a.field.name === field.name && a.block.name === modelName
+      );
+      if (sameName) {
+        const next = sameName.field;
+        if (next.type !== field.type) {
+          findings.push(
+            this.toFinding(
+              sameName.line,
+              "MAJOR",
+              "type-change",
+              `Field ${modelName}.${field.name} changes type from ${field.type} to ${next.type}`,
+              "The generated migration alters the column type, which rewrites the table and fails or loses data when existing values cannot be converted.",
+              "Check existing values convert cleanly, or add a new field, copy the data, and remove the old one later."
+            )
+          );
+        } else if (
+          field.optional &&
+          !next.optional &&
+          !/@default\(/.test(next.attributes)
+        ) {
+          findings.push(
+            this.toFinding(
+              sameName.line,
+              "MAJOR",
+              "set-not-null",
+              `Field ${modelName}.${field.name} becomes required`,
+              "The generated migration sets NOT NULL, which fails if any existing row has no value.",
+              "Backfill the missing values first, or give the field a @default."
+            )
+          );
+        }
+        continue;
+      }
+
+      const renamedTo = addedFields.find(
+        (a) =>
+          a.block.name === modelName &&
+          a.field.type === field.type &&
+          this.similarNames(field.name, a.field.name) &&
+          !renameTargets.has(a) &&
+          !removedFields.some((r) => r.field.name === a.field.name)
+      );
+      if (renamedTo) renameTargets.add(renamedTo);
+      findings.push(
+        renamedTo
+          ? this.toFinding(
+              renamedTo.line,
+              "CRITICAL",
+              "rename-as-drop",
+              `Field ${modelName}.${field.name} is replaced by ${renamedTo.field.name}`,
+              `Prisma Migrate treats a renamed field as a dropped column plus a new one, so the data in ${field.name} is lost.`,
+              `Keep the column with @map("${field.name}") on the new field, or edit the generated migration to use RENAME COLUMN.`
+            )
+          : this.toFinding(
+              line,
+              "CRITICAL",
+              "drop-column",
+              `Field ${modelName ? `${modelName}.` : ""}${
+                field.name
+              } is removed`,
+              "The generated migration drops the column and all its data.",
+              "Stop using the field in a release first and back up the data if it matters before removing it."
+            )
+      );
+    }
+
+    for (const { line, field, block } of addedFields) {
+      // Fields of new models become part of a new, empty table
+      if (addedLines.has(block.start)) continue;
+      if (
+        removedFields.some(
+          (r) => r.field.name === field.name && r.block?.name === block.name
+        )
+      )
+        continue;
+
+      if (
+        this.isColumn(field, enums) &&
+        !field.optional &&
+        !field.list &&
+        !/@(default|updatedAt|id)\b/.test(field.attributes)
+      ) {
+        findings.push(
+          this.toFinding(
+            line,
+            "MAJOR",
+            "not-null-without-default",
+            `Required field ${block.name}.${field.name} added without a default`,
+            `The generated migration adds a NOT NULL column without a default, which fails when the ${block.name} table already has rows.`,
+            "Make the field optional, give it a @default, or backfill it in a custom migration."
+          )
+        );
+      }
+
+      const relation = field.attributes.match(
+        /@relation\([^)]*fields:\s*\[\s*(\w+)/
+      );
+      if (relation && typeof unit.content === "string") {
+        const column = relation[1];
+        const isIndexed = block.lines.some(
+          ({ content }) =>
+            new RegExp(
+              `^\\s*@@(index|unique|id)\\(\\s*(fields:\\s*)?\\[\\s*${column}\\b`
+            ).test(content) ||
+            new RegExp(`^\\s*${column}\\s+\\w+\\??\\s.*@(unique|id)\\b`).test(
+              content
+            )
+        );
+        if (!isIndexed) {
+          findings.push(
+            this.toFinding(
+              line,
+              "MINOR",
+              "unindexed-foreign-key",
+              `Relation ${block.name}.${field.name} has no index on ${column}`,
+              `PostgreSQL does not index foreign keys automatically. Joins on the relation and deletes of referenced rows then scan the ${block.name} table.`,
+              `Add @@index([${column}]) to the ${block.name} model.`,
+              "performance"
+            )
+          );
+        }
+      }
+    }
+
+    return findings.sort((a, b) => a.line - b.line);
+  }
+
+  /**
+   * Whether a schema field is stored in a column of its model's table
+   * (scalars and enums, not relation fields)
+   */
+  isColumn(field, enums) {
+    return (
+      this.prismaScalars.has(field.type) ||
+      enums.has(field.type) ||
+      field.type === "Unsupported"
+    );
+  }
+
+  toFinding(
+    line,
+    severity,
+    rule,
+    title,
+    description,
+    suggestion,
+    category = "ci-cd"
+  ) {
+    return {
+      line,
+      lineVerified: true,
+      severity,
+      category,
+      title,
+      description,
+      suggestion,
+      source: "MIGRATION",
+      ruleId: `migration/${rule}`,
+    };
+  }
+}
+
+export default new MigrationAnalyzer();
@@ -0,0 +1,249 @@
+import llmService from "./llmService.js";
+import {
+  ANALYSIS_SCHEMA,
+  generateValidatedAnalysis,
+} from "./analysisSchema.js";
+
+/**
+ * Provider for servers speaking the OpenAI chat completions API, such as
+ * llama.cpp server, LM Studio and vLLM. One instance per configured server.
+ *
+ * These usually run local models, so the prompt is the one tuned for
+ * Ollama and its prompt version is shared.
+ */
+class OpenAICompatibleService {
+  constructor({
+    name,
+    baseUrl,
+    model,
+    apiKey,
+    concurrency = 1,
+    maxTokens = parseInt(process.env.MAX_TOKENS || "4096"),
+    structuredOutput = true,
+    timeoutMs = 300000,
+  }) {
+    if (!baseUrl) {
+      throw new Error(`Provider "${name}" needs a baseUrl`);
+    }
+    if (!model) {
+      throw new Error(`Provider "${name}" needs a model`);
+    }
+    this.name = name;
+    // e.g. http://localhost:1234/v1
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+    this.model = model;
+    this.apiKey = apiKey;
+    this.concurrency = concurrency;
+    this.maxTokens = maxTokens;
+    // Send the JSON schema as response_format; turn off for servers that reject it
+    this.structuredOutput = structuredOutput;
+    this.timeoutMs = timeoutMs;
+    this.promptVersion = llmService.promptVersion;
+    // Responses that fail validation are re-prompted up to this many times in total
+    this.analysisAttempts = parseInt(process.env.LLM_ANALYSIS_ATTEMPTS || "3");
+  }
+
+  /**
+   * This service with another model, leaving this one unchanged
+   */
+  withModel(model) {
+    if (!model || model === this.model) return this;
+    return Object.assign(Object.create(this), { model });
+  }
+
+  /**
+   * JSON response of an API endpoint; throws with the server's message
+   * when the request fails
+   */
+  async request(endpoint, body) {
+    const headers = { "Content-Type": "application/json" };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await fetch(`${this.baseUrl}${endpoint}`, {
+      method: body ? "POST" : "GET",
+      headers,
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(this.timeoutMs),
+    });
+    if (!response.ok) {
+      const text = await response.text();
+      throw new Error(
+        `${this.name} responded ${response.status}: ${text.slice(0, 200)}`
+      );
+    }
+    return await response.json();
+  }
+
+  /**
+   * Check if the server is reachable and serves the model
+   */
+  async checkHealth() {
+    try {
+      const { data = [] } = await this.request("/models");
+      const models = data.map((m) => m.id);
+
+      if (!models.includes(this.model)) {
+        return {
+          status: "warning",
+          message: `Model ${this.model} not available`,
+          availableModels: models,
+        };
+      }
+
+      return {
+        status: "ok",
+        message: `${this.name} is ready`,
+        model: this.model,
+      };
+    } catch (error) {
+      console.error(`${this.name} health check failed:`, error.message);
+      return {
+        status: "error",
+        message: `${this.name} is not running or not accessible at ${this.baseUrl}`,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Analyze code and detect issues
+   */
+  async analyzeCode(code, filePath, language, standards = [], options = {}) {
+    const prompt = this.buildAnalysisPrompt(
+      code,
+      filePath,
+      language,
+      standards,
+      options
+    );
+
+    try {
+      return await generateValidatedAnalysis(
+        (text) => this.generate(text, ANALYSIS_SCHEMA),
+        prompt,
+        this.analysisAttempts
+      );
+    } catch (error) {
+      console.error(`${this.name} code analysis failed:`, error);
+      const failure = new Error(
+        `${this.name} analysis failed: ${error.message}`
+      );
+      failure.tokensUsed = error.tokensUsed;
+      throw failure;
+    }
+  }
+
+  /**
+   * One chat completion, constrained to `schema` when structured output
+   * is enabled
+   */
+  async generate(prompt, schema, { temperature = 0.3, maxTokens } = {}) {
+    const data = await this.request("/chat/completions", {
+      model: this.model,
+      messages: [{ role: "user", content: prompt }],
+      temperature,
+      max_tokens: maxTokens || this.maxTokens,
+      response_format:
+        schema && this.structuredOutput
+          ? { type: "json_schema", json_schema: { name: "response", schema } }
+          : undefined,
+    });
+
+    const text = data.choices?.[0]?.message?.content || "";
+    return {
+      text,
+      tokensUsed:
+        data.usage?.total_tokens ||
+        Math.ceil((prompt.length + text.length) / 4), // Estimate if not provided
+    };
+  }
+
+  /**
+   * Generate automatic fix for an issue
+   */
+  async generateFix(code, issue, language) {
+    const prompt = `You are an expert code reviewer. Generate a fixed version of the following code to address this issue:
+
+Issue: ${issue.title}
+Description: ${issue.description}
+Language: ${language}
+File: ${issue.filePath}
+Line: ${issue.lineNumber}
+
+Original Code:
+\`\`\`${language}
+${code}
+\`\`\`
+
+Provide ONLY the fixed code without explanations. Format your response as:
+FIXED_CODE:
+\`\`\`${language}
+<your fixed code here>
+\`\`\``;
+
+    try {
+      const { text } = await this.generate(prompt, null, {
+        temperature: 0.2,
+        maxTokens: 2048,
+      });
+      return llmService.extractFixedCode(text);
+    } catch (error) {
+      console.error("Fix generation failed:", error);
+      throw new Error(`Fix generation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Estimate development effort for fixes
+   */
+  async estimateEffort(issues) {
+    const issuesSummary = issues
+      .map((i) => `- ${i.severity}: ${i.title} in ${i.filePath}`)
+      .join("\n");
+
+    const prompt = `You are a technical project manager. Estimate the development effort (in hours) needed to fix these code issues:
+
+${issuesSummary}
+
+Respond in this JSON format:
+{
+  "totalEffort": <number in hours>,
+  "breakdown": [
+    {"issue": "<issue title>", "effort": <hours>, "reasoning": "<brief explanation>"}
+  ]
+}`;
+
+    try {
+      const { text } = await this.generate(prompt, null, { maxTokens: 2048 });
+      return llmService.parseJsonResponse(text);
+    } catch (error) {
+      console.error("Effort estimation failed:", error);
+      // Return default estimates if the server fails
+      return {
+        totalEffort: issues.length * 0.5,
+        breakdown: issues.map((i) => ({
+          issue: i.title,
+          effort: 0.5,
+          reasoning: "Default estimate",
+        })),
+      };
+    }
+  }
+
+  /**
+   * Same prompt as the Ollama provider
+   */
+  buildAnalysisPrompt(code, filePath, language, standards, options = {}) {
+    return llmService.buildAnalysisPrompt(
+      code,
+      filePath,
+      language,
+      standards,
+      options
+    );
+  }
+}
+
+export default OpenAICompatibleService;
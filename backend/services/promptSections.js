@@ -0,0 +1,104 @@
+/**
+ * Optional prompt sections shared by every provider's buildAnalysisPrompt.
+ * Each section is only included when the matching option is set, so the
+ * base prompts stay unchanged for plain reviews.
+ */
+// What to look for in infrastructure and configuration files
+const FILE_TYPE_GUIDANCE = {
+  dockerfile:
+    "This is a Dockerfile. Check for unpinned base images (latest tags), running as root, secrets passed through ARG or ENV, missing cleanup of package manager caches, layer ordering that defeats the build cache, and ADD used where COPY is enough.",
+  "github-actions":
+    "This is a GitHub Actions workflow. Check for actions not pinned to a commit SHA, overly broad permissions (or no permissions block), untrusted input such as github.event fields interpolated into run scripts, secrets exposed to pull requests from forks, missing timeouts, and missing dependency caching.",
+  "gitlab-ci":
+    "This is a GitLab CI pipeline. Check for unpinned images, secrets printed in scripts or stored outside protected variables, jobs that deploy without rules restricting branches, missing artifact expiry, and missing caching.",
+  "docker-compose":
+    "This is a Docker Compose file. Check for unpinned image tags, hard-coded credentials in environment entries, privileged containers or host mounts, ports published on all interfaces, and missing health checks or restart policies.",
+  terraform:
+    "This is Terraform. Check for unpinned provider and module versions, hard-coded credentials, resources open to 0.0.0.0/0, unencrypted storage, missing tags, and changes that force resource replacement.",
+  sql: "This is SQL, possibly a migration. Check for statements that lock large tables, data loss (dropped columns or tables, narrowing type changes), NOT NULL columns added without defaults, missing indexes on new foreign keys, and changes that cannot be rolled back.",
+  prisma:
+    "This is a Prisma schema; every change becomes a database migration. Check for removed or renamed fields and models (Prisma drops and recreates them), required fields added without a default, type changes, and relations without an index on their foreign key.",
+  shell:
+    "This is a shell script. Check for missing `set -euo pipefail`, unquoted variables, unsafe use of eval or curl piped to a shell, temporary files in predictable locations, and commands that fail silently.",
+};
+
+// Headings of the static findings handed to the model, by finding source
+const STATIC_SOURCE_LABELS = {
+  LINTER: "Linter",
+  RULE: "Coding standard rules",
+  SECRET: "Secret scan",
+  TESTS: "Test coverage check",
+};
+
+export function buildPromptExtras(options = {}) {
+  const sections = [];
+
+  if (options.changedLinesOnly) {
+    sections.push(
+      `Lines marked "+" after the line number were added or changed; the other lines are unchanged context. Only report issues on "+" lines and use the context just to understand the code.`
+    );
+  }
+
+  const rules = (options.standardRules || []).filter(
+    (s) => Object.keys(s.rules).length > 0
+  );
+  if (rules.length > 0) {
+    const list = rules
+      .map((s) => `- ${s.name}: ${JSON.stringify(s.rules)}`)
+      .join("\n");
+    sections.push(`Rules of these standards to check:\n${list}`);
+  }
+
+  if (options.relatedCode?.length > 0) {
+    const related = options.relatedCode
+      .map((entry) => `// ${entry.file}\n${entry.text}`)
+      .join("\n\n");
+    sections.push(
+      `Definitions this file uses from other files of the repository, for reference only. Do not report issues in them, and do not report their symbols as undefined:\n${related}`
+    );
+  }
+
+  if (options.staticFindings?.length > 0) {
+    const groups = new Map();
+    for (const f of options.staticFindings) {
+      const label = STATIC_SOURCE_LABELS[f.source] || "Other checks";
+      groups.set(label, [
+        ...(groups.get(label) || []),
+        `- Line ${f.line}: ${f.title}`,
+      ]);
+    }
+    const findings = [...groups]
+      .map(([label, lines]) => `${label}:\n${lines.join("\n")}`)
+      .join("\n");
+    sections.push(
+      `Automated checks already reported these findings. Do not report them again; focus on problems they cannot find:\n${findings}`
+    );
+  }
+
+  if (FILE_TYPE_GUIDANCE[options.fileType]) {
+    sections.push(
+      `${
+        FILE_TYPE_GUIDANCE[options.fileType]
+      } Use the category "ci-cd" for these findings, or "security" for security problems.`
+    );
+  }
+
+  if (options.migrationRisks?.length > 0) {
+    const risks = options.migrationRisks
+      .map((f) => `- Line ${f.line}: ${f.title}`)
+      .join("\n");
+    sections.push(
+      `Migration checks flagged these schema changes:\n${risks}\nFor each one, report an issue on the same line whose description explains what data could be lost or which deployments could fail, given the rest of the change, and how to make it safely.`
+    );
+  }
+
+  if (options.dimensions?.length > 0) {
+    sections.push(
+      `Only report issues in these categories: ${options.dimensions.join(
+        ", "
+      )}. Leave out issues of any other category.`
+    );
+  }
+
+  return sections.length > 0 ? `\n\n${sections.join("\n\n")}` : "";
+}
@@ -0,0 +1,168 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import llmService from "./llmService.js";
+import geminiService from "./geminiService.js";
+import OpenAICompatibleService from "./openaiCompatibleService.js";
+
+const DEFAULT_CONFIG_FILE = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "ai-providers.json"
+);
+
+// Methods every provider implements
+const INTERFACE = [
+  "checkHealth",
+  "analyzeCode",
+  "generate",
+  "generateFix",
+  "estimateEffort",
+  "withModel",
+];
+
+// Provider types that can be added from configuration
+const TYPES = {
+  "openai-compatible": (config) => new OpenAICompatibleService(config),
+};
+
+/**
+ * AI providers by name. Ollama and Gemini are built in; more come from the
+ * providers file (AI_PROVIDERS_FILE, default backend/ai-providers.json):
+ *
+ *   {
+ *     "providers": [
+ *       {
+ *         "name": "lmstudio",
+ *         "type": "openai-compatible",
+ *         "baseUrl": "http://localhost:1234/v1",
+ *         "model": "qwen2.5-coder-7b-instruct",
+ *         "apiKeyEnv": "LMSTUDIO_API_KEY"
+ *       }
+ *     ]
+ *   }
+ *
+ * A single OpenAI-compatible server can also be set up with
+ * OPENAI_COMPAT_BASE_URL and OPENAI_COMPAT_MODEL (provider "openai-compatible").
+ */
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.register("ollama", llmService, "ollama");
+    this.register("gemini", geminiService, "gemini");
+    this.loadEnvProvider();
+    this.loadConfigFile(process.env.AI_PROVIDERS_FILE || DEFAULT_CONFIG_FILE);
+  }
+
+  /**
+   * Add a provider under `name`. Throws when the name is taken or the
+   * service lacks part of the provider interface.
+   */
+  register(name, service, type = "custom") {
+    if (this.providers.has(name)) {
+      throw new Error(`AI provider "${name}" is already registered`);
+    }
+    const missing = INTERFACE.filter((m) => typeof service[m] !== "function");
+    if (missing.length > 0) {
+      throw new Error(
+        `AI provider "${name}" does not implement ${missing.join(", ")}`
+      );
+    }
+    this.providers.set(name, { service, type });
+  }
+
+  has(name) {
+    return this.providers.has(name);
+  }
+
+  /**
+   * Service of a provider; throws for unknown names
+   */
+  get(name) {
+    const provider = this.providers.get(name);
+    if (!provider) {
+      throw new Error(
+        `Unknown AI provider "${name}". Available: ${this.names().join(", ")}`
+      );
+    }
+    return provider.service;
+  }
+
+  names() {
+    return [...this.providers.keys()];
+  }
+
+  /**
+   * Name, type and current model of every provider
+   */
+  list() {
+    return [...this.providers].map(([name, { service, type }]) => ({
+      name,
+      type,
+      model: service.model,
+    }));
+  }
+
+  /**
+   * Provider from OPENAI_COMPAT_* environment variables, if set
+   */
+  loadEnvProvider() {
+    if (!process.env.OPENAI_COMPAT_BASE_URL) return;
+    this.addConfigured({
+      name: process.env.OPENAI_COMPAT_NAME || "openai-compatible",
+      type: "openai-compatible",
+      baseUrl: process.env.OPENAI_COMPAT_BASE_URL,
+      model: process.env.OPENAI_COMPAT_MODEL,
+      apiKey: process.env.OPENAI_COMPAT_API_KEY,
+      concurrency: parseInt(process.env.OPENAI_COMPAT_CONCURRENCY || "1"),
+      structuredOutput: process.env.OPENAI_COMPAT_STRUCTURED_OUTPUT !== "false",
+    });
+  }
+
+  /**
+   * Providers listed in a providers file. A missing file is not an error;
+   * an invalid entry is logged and skipped.
+   */
+  loadConfigFile(filePath) {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.error(`Failed to read ${filePath}:`, error.message);
+      }
+      return;
+    }
+
+    for (const entry of data.providers || []) {
+      this.addConfigured(entry);
+    }
+  }
+
+  /**
+   * Create and register a provider from its configuration
+   */
+  addConfigured({ type, apiKeyEnv, ...config }) {
+    try {
+      if (!config.name) {
+        throw new Error("every provider needs a name");
+      }
+      const create = TYPES[type];
+      if (!create) {
+        throw new Error(
+          `unknown type "${type}" (expected ${Object.keys(TYPES).join(", ")})`
+        );
+      }
+      const apiKey = apiKeyEnv ? process.env[apiKeyEnv] : config.apiKey;
+      this.register(config.name, create({ ...config, apiKey }), type);
+      console.log(`AI provider registered: ${config.name} (${type})`);
+    } catch (error) {
+      console.error(
+        `Skipping AI provider ${config.name || ""}:`,
+        error.message
+      );
+    }
+  }
+}
+
+export default new ProviderRegistry();
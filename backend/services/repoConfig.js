@@ -0,0 +1,164 @@
+import yaml from "js-yaml";
+import { minimatch } from "minimatch";
+
+/**
+ * Per-repository review configuration.
+ *
+ * A `.aireview.json` or `.aireview.yml` at the repository root overrides the
+ * global settings for reviews of that repository:
+ *
+ *   include / exclude  globs of files to review (exclude wins)
+ *   languages          extra extension-to-language mappings, e.g. { ".vue": "javascript" }
+ *   standards          names or ids of the coding standards that apply
+ *   provider / model   AI provider and model to analyze with
+ *   blockOn            most issues of each severity a commit may add, e.g. { "major": 5 };
+ *                      merged into the default { "critical": 0 }
+ *   minConfidence      verified findings below this confidence (0-1) do not count for blockOn
+ *   dimensions         issue categories to analyze, e.g. ["bug", "security"]
+ */
+export const CONFIG_FILES = [
+  ".aireview.json",
+  ".aireview.yml",
+  ".aireview.yaml",
+];
+
+export const DIMENSIONS = [
+  "bug",
+  "security",
+  "performance",
+  "style",
+  "maintainability",
+  "testing",
+  "architecture",
+  "documentation",
+  "ci-cd",
+];
+
+const SEVERITIES = ["critical", "major", "minor", "info"];
+
+class RepoConfigService {
+  /**
+   * Validated configuration from the text of a config file. Throws with the
+   * file name and the offending key when the file is invalid. `providers`
+   * are the names of the registered AI providers.
+   */
+  parse(text, fileName, providers = []) {
+    let data;
+    try {
+      data = fileName.endsWith(".json") ? JSON.parse(text) : yaml.load(text);
+    } catch (error) {
+      throw new Error(`Invalid ${fileName}: ${error.message}`);
+    }
+    if (data === undefined || data === null) return {};
+    if (typeof data !== "object" || Array.isArray(data)) {
+      throw new Error(`Invalid ${fileName}: expected an object`);
+    }
+
+    const fail = (key, expected) => {
+      throw new Error(`Invalid ${fileName}: "${key}" must be ${expected}`);
+    };
+    const isStringList = (value) =>
+      Array.isArray(value) && value.every((v) => typeof v === "string");
+
+    const config = {};
+
+    for (const key of ["include", "exclude", "standards"]) {
+      if (data[key] === undefined) continue;
+      if (!isStringList(data[key])) fail(key, "a list of strings");
+      config[key] = data[key];
+    }
+
+    if (data.languages !== undefined) {
+      const entries = Object.entries(data.languages || {});
+      if (
+        typeof data.languages !== "object" ||
+        Array.isArray(data.languages) ||
+        entries.some(
+          ([ext, language]) =>
+            !ext.startsWith(".") || typeof language !== "string"
+        )
+      ) {
+        fail("languages", 'a map of extensions to languages, e.g. ".vue"');
+      }
+      config.languages = data.languages;
+    }
+
+    if (data.provider !== undefined) {
+      if (!providers.includes(data.provider)) {
+        fail("provider", providers.map((p) => `"${p}"`).join(" or "));
+      }
+      config.provider = data.provider;
+    }
+
+    if (data.model !== undefined) {
+      if (typeof data.model !== "string" || !data.model) {
+        fail("model", "a model name");
+      }
+      config.model = data.model;
+    }
+
+    if (data.blockOn !== undefined) {
+      const entries = Object.entries(data.blockOn || {});
+      if (
+        typeof data.blockOn !== "object" ||
+        Array.isArray(data.blockOn) ||
+        entries.some(
+          ([severity, max]) =>
+            !SEVERITIES.includes(severity.toLowerCase()) ||
+            !Number.isInteger(max) ||
+            max < 0
+        )
+      ) {
+        fail("blockOn", `a map of ${SEVERITIES.join("/")} to maximum counts`);
+      }
+      config.blockOn = Object.fromEntries(
+        entries.map(([severity, max]) => [severity.toUpperCase(), max])
+      );
+    }
+
+    if (data.minConfidence !== undefined) {
+      if (
+        typeof data.minConfidence !== "number" ||
+        data.minConfidence < 0 ||
+        data.minConfidence > 1
+      ) {
+        fail("minConfidence", "a number from 0 to 1");
+      }
+      config.minConfidence = data.minConfidence;
+    }
+
+    if (data.dimensions !== undefined) {
+      if (
+        !isStringList(data.dimensions) ||
+        data.dimensions.some((d) => !DIMENSIONS.includes(d))
+      ) {
+        fail("dimensions", `a list of ${DIMENSIONS.join(", ")}`);
+      }
+      config.dimensions = data.dimensions;
+    }
+
+    return config;
+  }
+
+  /**
+   * Whether a file passes the include and exclude globs
+   */
+  isIncluded(filePath, config = {}) {
+    const matches = (globs) =>
+      globs.some((glob) => minimatch(filePath, glob, { dot: true }));
+
+    if (config.include?.length && !matches(config.include)) return false;
+    return !(config.exclude?.length && matches(config.exclude));
+  }
+
+  /**
+   * Whether a finding's category is one of the configured dimensions.
+   * Secrets are always reported.
+   */
+  inDimensions(finding, config = {}) {
+    if (!config.dimensions || finding.source === "SECRET") return true;
+    return config.dimensions.includes(finding.category || "style");
+  }
+}
+
+export default new RepoConfigService();
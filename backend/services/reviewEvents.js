@@ -0,0 +1,89 @@
+import { EventEmitter } from "events";
+
+/**
+ * In-process event bus for review progress.
+ *
+ * The analysis pipeline publishes events per review; the SSE endpoint
+ * subscribes to them. A short history is kept per review so clients that
+ * connect late (or reconnect with Last-Event-ID) can replay what they missed.
+ * It is dropped shortly after the review finishes, or once the review has
+ * published nothing for a long time (e.g. its job died with the process).
+ */
+class ReviewEvents {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+    this.history = new Map();
+    this.nextId = 1;
+    this.maxHistory = parseInt(process.env.REVIEW_EVENT_HISTORY || "500");
+    this.historyTtl = parseInt(process.env.REVIEW_EVENT_TTL_MS || "300000");
+    this.idleTtl = parseInt(process.env.REVIEW_EVENT_IDLE_TTL_MS || "3600000");
+    setInterval(() => this.expireIdle(), Math.min(this.idleTtl, 60000)).unref();
+  }
+
+  /**
+   * Publish an event for a review
+   */
+  publish(reviewId, type, data = {}) {
+    const event = {
+      id: this.nextId++,
+      type,
+      data,
+      timestamp: new Date().toISOString(),
+    };
+
+    if (!this.history.has(reviewId)) {
+      this.history.set(reviewId, []);
+    }
+    const events = this.history.get(reviewId);
+    events.push(event);
+    if (events.length > this.maxHistory) {
+      events.shift();
+    }
+
+    this.emitter.emit(reviewId, event);
+
+    // Finished reviews only need their history long enough for stragglers
+    if (this.isTerminal(type)) {
+      setTimeout(() => this.history.delete(reviewId), this.historyTtl).unref();
+    }
+
+    return event;
+  }
+
+  /**
+   * Listen for events of a review. Returns an unsubscribe function.
+   */
+  subscribe(reviewId, listener) {
+    this.emitter.on(reviewId, listener);
+    return () => this.emitter.off(reviewId, listener);
+  }
+
+  /**
+   * Events already published for a review, optionally after a given event id
+   */
+  getHistory(reviewId, afterId = 0) {
+    return (this.history.get(reviewId) || []).filter((e) => e.id > afterId);
+  }
+
+  /**
+   * Drop the history of reviews without an event for longer than the idle TTL
+   */
+  expireIdle(now = Date.now()) {
+    for (const [reviewId, events] of this.history) {
+      const last = events[events.length - 1];
+      if (!last || now - Date.parse(last.timestamp) > this.idleTtl) {
+        this.history.delete(reviewId);
+      }
+    }
+  }
+
+  /**
+   * Whether an event type ends the stream
+   */
+  isTerminal(type) {
+    return type === "complete" || type === "failed";
+  }
+}
+
+export default new ReviewEvents();
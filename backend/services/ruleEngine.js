@@ -0,0 +1,415 @@
+/**
+ * Deterministic checks for the machine-checkable parts of a coding
+ * standard's `rules` JSON: line length, indentation, quotes, semicolons
+ * and naming conventions.
+ *
+ * Checks are line based and deliberately conservative, so they work on
+ * diff hunks in any supported language without parsing whole files.
+ * Rules the engine does not understand are left to the model.
+ */
+class RuleEngine {
+  constructor() {
+    this.enabled = process.env.RULE_ENGINE_ENABLED !== "false";
+    // Beyond this many violations of one rule in the lines checked at once
+    // (a whole diff of a file, or one chunk of a scanned file), only a note
+    // is added
+    this.maxPerRule = parseInt(process.env.RULE_MAX_FINDINGS_PER_FILE || "5");
+
+    this.checkedRules = [
+      "maxLineLength",
+      "indentation",
+      "quotes",
+      "semicolons",
+      "namingConventions",
+    ];
+
+    this.conventions = {
+      camelCase: /^_?[a-z][a-zA-Z0-9]*$/,
+      PascalCase: /^[A-Z][a-zA-Z0-9]*$/,
+      snake_case: /^_{0,2}[a-z][a-z0-9_]*$/,
+      UPPER_CASE: /^[A-Z][A-Z0-9_]*$/,
+      lowercase: /^[a-z][a-z0-9.]*$/,
+    };
+
+    // Languages where both quote styles denote strings
+    this.quoteLanguages = ["javascript", "typescript", "python", "ruby", "php"];
+    this.semicolonLanguages = ["javascript", "typescript"];
+  }
+
+  /**
+   * Check reviewed lines against every standard that applies to the file.
+   * `lines` are `{ line, content }` entries with real line numbers.
+   */
+  check(lines, language, standards) {
+    if (!this.enabled) return [];
+
+    const findings = [];
+    for (const standard of standards) {
+      const rules = standard.rules || {};
+      const violations = [];
+
+      lines.forEach((l, i) => {
+        const next = lines[i + 1]?.line === l.line + 1 ? lines[i + 1] : null;
+        violations.push(
+          ...this.checkLine(l, next, rules, language).map((v) => ({
+            ...v,
+            line: l.line,
+          }))
+        );
+      });
+
+      findings.push(...this.toFindings(violations, standard));
+    }
+
+    return findings;
+  }
+
+  /**
+   * Violations of the rules on a single line
+   */
+  checkLine({ content }, next, rules, language) {
+    const violations = [];
+    const trimmed = content.trim();
+    if (trimmed === "") return violations;
+
+    if (Number.isInteger(rules.maxLineLength)) {
+      if (content.length > rules.maxLineLength) {
+        violations.push({
+          ruleId: "maxLineLength",
+          title: `Line exceeds ${rules.maxLineLength} characters`,
+          description: `Line is ${content.length} characters long; the limit is ${rules.maxLineLength}.`,
+          suggestion: "Break the line up or extract part of it.",
+        });
+      }
+    }
+
+    if (Number.isInteger(rules.indentation)) {
+      const indent = content.match(/^\s*/)[0];
+      // Block comment bodies are offset by one space by convention
+      const commentBody = /^\*/.test(trimmed);
+      if (indent.includes("\t")) {
+        violations.push({
+          ruleId: "indentation",
+          title: "Tab used for indentation",
+          description: `Indentation should use ${rules.indentation} spaces per level, not tabs.`,
+          suggestion: "Replace tabs with spaces.",
+        });
+      } else if (!commentBody && indent.length % rules.indentation !== 0) {
+        violations.push({
+          ruleId: "indentation",
+          title: `Indentation is not a multiple of ${rules.indentation}`,
+          description: `Line is indented by ${indent.length} spaces; indentation should use ${rules.indentation} spaces per level.`,
+          suggestion: `Indent by a multiple of ${rules.indentation} spaces.`,
+        });
+      }
+    }
+
+    const code = this.stripComment(content, language);
+
+    if (
+      (rules.quotes === "single" || rules.quotes === "double") &&
+      this.quoteLanguages.includes(language)
+    ) {
+      const preferred = rules.quotes === "single" ? "'" : '"';
+      const other = preferred === "'" ? '"' : "'";
+      // JSX attributes (`name="value"`) keep double quotes by convention
+      const wrong = this.findStrings(code).find(
+        (s) =>
+          s.quote === other &&
+          !s.text.includes(preferred) &&
+          !/[\w-]=$/.test(code.slice(0, s.index))
+      );
+      if (wrong) {
+        violations.push({
+          ruleId: "quotes",
+          title: `Use ${rules.quotes} quotes`,
+          description: `String ${other}${wrong.text}${other} uses ${
+            rules.quotes === "single" ? "double" : "single"
+          } quotes.`,
+          suggestion: `Write it as ${preferred}${wrong.text}${preferred}.`,
+        });
+      }
+    }
+
+    if (this.semicolonLanguages.includes(language) && rules.semicolons) {
+      const statement = code.trim();
+      if (rules.semicolons === "required") {
+        if (this.isUnterminatedStatement(statement, next, language)) {
+          violations.push({
+            ruleId: "semicolons",
+            title: "Missing semicolon",
+            description: "Statements should end with a semicolon.",
+            suggestion: "Add a semicolon at the end of the statement.",
+          });
+        }
+      } else if (rules.semicolons === "never") {
+        if (statement.endsWith(";") && !/^for\s*\(/.test(statement)) {
+          violations.push({
+            ruleId: "semicolons",
+            title: "Unnecessary semicolon",
+            description: "Statements should not end with a semicolon.",
+            suggestion: "Remove the semicolon.",
+          });
+        }
+      }
+    }
+
+    if (
+      rules.namingConventions &&
+      typeof rules.namingConventions === "object"
+    ) {
+      violations.push(
+        ...this.checkNaming(code, language, rules.namingConventions)
+      );
+    }
+
+    return violations;
+  }
+
+  /**
+   * Names declared on a line that break the configured conventions
+   */
+  checkNaming(code, language, conventions) {
+    const violations = [];
+    const declarations = this.findDeclarations(code, language);
+
+    for (const { kind, name } of declarations) {
+      // "methods" and "functions" are used interchangeably across standards
+      const convention =
+        kind === "functions"
+          ? conventions.functions || conventions.methods
+          : conventions[kind];
+      const pattern = this.conventions[convention];
+      if (!pattern || pattern.test(name)) continue;
+      // JS components and constructors are PascalCase by convention
+      if (
+        kind === "functions" &&
+        ["javascript", "typescript"].includes(language) &&
+        this.conventions.PascalCase.test(name)
+      ) {
+        continue;
+      }
+
+      violations.push({
+        ruleId: `namingConventions.${kind}`,
+        title: `${name} should be ${convention}`,
+        description: `By this standard, ${kind} are named in ${convention}; "${name}" is not.`,
+        suggestion: `Rename "${name}" to follow ${convention}.`,
+      });
+    }
+
+    return violations;
+  }
+
+  /**
+   * `{ kind, name }` declarations found on a line, by language
+   */
+  findDeclarations(code, language) {
+    const found = [];
+    const add = (kind, regex) => {
+      const match = code.match(regex);
+      if (match) found.push({ kind, name: match[1] });
+    };
+
+    add(
+      "classes",
+      /^\s*(?:export\s+)?(?:default\s+)?(?:abstract\s+)?(?:public\s+|private\s+|protected\s+)?(?:final\s+)?class\s+([A-Za-z_$][\w$]*)/
+    );
+
+    switch (language) {
+      case "javascript":
+      case "typescript":
+        add(
+          "functions",
+          /^\s*(?:export\s+)?(?:default\s+)?(?:async\s+)?function\s*\*?\s*([A-Za-z_$][\w$]*)/
+        );
+        add(
+          "functions",
+          /^\s*(?:export\s+)?(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=\s*(?:async\s+)?(?:function\b|\([^)]*\)\s*=>|[A-Za-z_$][\w$]*\s*=>)/
+        );
+        // Only frozen module-level objects are constants: a plain const
+        // bound to a literal is as often an ordinary variable
+        add(
+          "constants",
+          /^(?:export\s+)?const\s+([A-Za-z_$][\w$]*)\s*=\s*Object\.freeze\(/
+        );
+        break;
+      case "python":
+        add("functions", /^\s*(?:async\s+)?def\s+([A-Za-z_]\w*)/);
+        // Python has no constants; only names annotated Final are meant as one
+        add("constants", /^([A-Za-z_]\w*)\s*:\s*(?:typing\.)?Final\b/);
+        break;
+      case "java":
+      case "csharp":
+        add(
+          "constants",
+          /\bstatic\s+(?:readonly\s+)?final\s+[\w<>[\], ]+\s+([A-Za-z_]\w*)\s*=/
+        );
+        add("constants", /\bconst\s+[\w<>[\], ]+\s+([A-Za-z_]\w*)\s*=/);
+        add(
+          "functions",
+          /^\s*(?:(?:public|private|protected|internal|static|final|abstract|synchronized|async|override|virtual)\s+)+[\w<>[\], ?]+\s+([A-Za-z_]\w*)\s*\(/
+        );
+        add("packages", /^\s*package\s+([\w.]+)\s*;/);
+        break;
+      case "go":
+        add("functions", /^\s*func\s+(?:\([^)]*\)\s*)?([A-Za-z_]\w*)/);
+        break;
+      case "rust":
+        add(
+          "functions",
+          /^\s*(?:pub(?:\([^)]*\))?\s+)?(?:async\s+)?fn\s+([A-Za-z_]\w*)/
+        );
+        add(
+          "constants",
+          /^\s*(?:pub\s+)?(?:const|static)\s+([A-Za-z_]\w*)\s*:/
+        );
+        break;
+      case "ruby":
+        add("functions", /^\s*def\s+(?:self\.)?([A-Za-z_]\w*)/);
+        break;
+      case "php":
+        add(
+          "functions",
+          /^\s*(?:(?:public|private|protected|static|abstract|final)\s+)*function\s+([A-Za-z_]\w*)/
+        );
+        break;
+      default:
+        break;
+    }
+
+    return found;
+  }
+
+  /**
+   * Whether a JS/TS line is a simple statement missing its semicolon.
+   * Only statements that start with a keyword are considered, and only
+   * when the next line does not continue them.
+   */
+  isUnterminatedStatement(statement, next, language) {
+    if (
+      !/^(?:const|let|var|return|throw|break|continue|import|export\s+(?:const|let|var|default|\*|\{))\b/.test(
+        statement
+      )
+    ) {
+      return false;
+    }
+    // Declarations of functions and classes end in a block, not a semicolon
+    if (
+      /^export\s+default\s+(?:async\s+)?(?:function|class)\b/.test(statement)
+    ) {
+      return false;
+    }
+    if (
+      /[;{([,=+\-*/%&|^!?:<>.`\\]$/.test(statement) ||
+      statement.endsWith("=>")
+    ) {
+      return false;
+    }
+    if (
+      language === "typescript" &&
+      /^export\s+(?:type|interface)\b/.test(statement)
+    ) {
+      return false;
+    }
+
+    const following = next
+      ? this.stripComment(next.content, language).trim()
+      : "";
+    return !/^[.?:+\-*/%&|^=,`]/.test(following) && !following.startsWith("=>");
+  }
+
+  /**
+   * String literals on a line as `{ index, quote, text }`
+   */
+  findStrings(code) {
+    const strings = [];
+    let i = 0;
+    while (i < code.length) {
+      const quote = code[i];
+      if (quote === '"' || quote === "'" || quote === "`") {
+        let j = i + 1;
+        while (j < code.length && code[j] !== quote) {
+          j += code[j] === "\\" ? 2 : 1;
+        }
+        if (j >= code.length) break; // unterminated: spans lines
+        strings.push({ index: i, quote, text: code.slice(i + 1, j) });
+        i = j + 1;
+      } else {
+        i++;
+      }
+    }
+    return strings;
+  }
+
+  /**
+   * A line without its trailing comment (outside string literals)
+   */
+  stripComment(content, language) {
+    const marker = ["python", "ruby"].includes(language) ? "#" : "//";
+    let quote = null;
+
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+      if (quote) {
+        if (char === "\\") i++;
+        else if (char === quote) quote = null;
+      } else if (char === '"' || char === "'" || char === "`") {
+        quote = char;
+      } else if (content.startsWith(marker, i)) {
+        return content.slice(0, i);
+      }
+    }
+    return content;
+  }
+
+  /**
+   * Turn violations into findings, capping how many of each rule are kept
+   */
+  toFindings(violations, standard) {
+    const counts = {};
+    const findings = [];
+
+    for (const v of violations) {
+      counts[v.ruleId] = (counts[v.ruleId] || 0) + 1;
+      if (counts[v.ruleId] > this.maxPerRule) continue;
+
+      findings.push({
+        line: v.line,
+        lineVerified: true,
+        severity: "MINOR",
+        category: "style",
+        title: v.title,
+        description: v.description,
+        suggestion: v.suggestion,
+        standard: standard.name,
+        source: "RULE",
+        ruleId: v.ruleId,
+      });
+    }
+
+    // Note the rest on the last finding kept for each capped rule
+    for (const [ruleId, count] of Object.entries(counts)) {
+      if (count <= this.maxPerRule) continue;
+      const last = findings.filter((f) => f.ruleId === ruleId).pop();
+      last.description += ` (${
+        count - this.maxPerRule
+      } more violations of this rule in this section are not listed.)`;
+    }
+
+    return findings;
+  }
+
+  /**
+   * Rules of a standard the engine cannot check, to pass on to the model
+   */
+  getUncheckedRules(standard) {
+    const rules = { ...(standard.rules || {}) };
+    for (const key of this.checkedRules) {
+      delete rules[key];
+    }
+    return rules;
+  }
+}
+
+export default new RuleEngine();
@@ -0,0 +1,250 @@
+/**
+ * Scanner for credentials in reviewed code.
+ *
+ * Added lines are matched against known key formats and checked for
+ * high-entropy values assigned to secret-looking names. Hits are reported
+ * as CRITICAL security findings regardless of what the model says, and the
+ * matched values are redacted before code is sent to a model or stored.
+ */
+class SecretScanner {
+  constructor() {
+    this.enabled = process.env.SECRET_SCAN_ENABLED !== "false";
+    this.entropyThreshold = parseFloat(
+      process.env.SECRET_ENTROPY_THRESHOLD || "3.5"
+    );
+
+    this.patterns = [
+      {
+        id: "aws-access-key",
+        name: "AWS access key ID",
+        regex: /\b((?:AKIA|ASIA)[0-9A-Z]{16})\b/g,
+      },
+      {
+        id: "aws-secret-key",
+        name: "AWS secret access key",
+        regex:
+          /aws.{0,20}?(?:secret|private).{0,20}?["'=:\s]([A-Za-z0-9/+=]{40})(?![A-Za-z0-9/+=])/gi,
+      },
+      {
+        id: "google-api-key",
+        name: "Google API key",
+        regex: /\b(AIza[0-9A-Za-z_-]{35})(?![0-9A-Za-z_-])/g,
+      },
+      {
+        id: "google-oauth-secret",
+        name: "Google OAuth client secret",
+        regex: /\b(GOCSPX-[A-Za-z0-9_-]{28})(?![A-Za-z0-9_-])/g,
+      },
+      {
+        id: "github-token",
+        name: "GitHub token",
+        regex:
+          /\b((?:ghp|gho|ghu|ghs|ghr)_[A-Za-z0-9]{36}|github_pat_[A-Za-z0-9_]{82})\b/g,
+      },
+      {
+        id: "slack-token",
+        name: "Slack token",
+        regex: /\b(xox[abprs]-[A-Za-z0-9-]{10,})\b/g,
+      },
+      {
+        id: "stripe-key",
+        name: "Stripe secret key",
+        regex: /\b((?:sk|rk)_live_[0-9a-zA-Z]{24,})\b/g,
+      },
+      {
+        id: "jwt",
+        name: "JSON Web Token",
+        regex:
+          /\b(eyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,})/g,
+      },
+      {
+        id: "private-key",
+        name: "private key",
+        regex: /(-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----)/g,
+      },
+      {
+        id: "connection-string",
+        name: "connection string with a password",
+        regex: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:@/'"`]+:([^\s@/'"`]+)@[^\s'"`]+/gi,
+      },
+    ];
+
+    // Values assigned to these names are checked for entropy: quoted
+    // literals in code, or bare values that end the line (.env, YAML)
+    const secretName =
+      "(?:api[_-]?key|secret|token|passw(?:or)?d|pwd|access[_-]?key|auth[_-]?key|credentials?)[\\w-]*[\"']?\\s*[:=]\\s*";
+    this.secretAssignmentPatterns = [
+      new RegExp(`${secretName}["'\`]([^\\s"'\`]{12,})["'\`]`, "gi"),
+      new RegExp(`${secretName}([^\\s"'\`,;()]{12,})\\s*$`, "gi"),
+    ];
+
+    // Obvious placeholders are not secrets
+    this.placeholderPattern =
+      /^(?:\$\{.*\}|\$[A-Z_]+|<.*>|\{\{.*\}\}|%\(.*\)s|process\.env\..*|os\.environ.*|(?:your|my|example|dummy|test|fake|changeme|placeholder|xxx+|\*+)[\w-]*)$/i;
+
+    // Lockfiles are full of integrity hashes
+    this.ignoredPaths = [
+      /(^|\/)package-lock\.json$/,
+      /(^|\/)npm-shrinkwrap\.json$/,
+      /(^|\/)yarn\.lock$/,
+      /(^|\/)pnpm-lock\.yaml$/,
+      /\.lock$/,
+    ];
+  }
+
+  /**
+   * Find credentials in `{ line, content }` entries. Returns findings with
+   * a `secret` value to redact; the value never appears in the finding text.
+   */
+  scan(lines, filePath = "") {
+    if (!this.enabled) return [];
+    if (this.ignoredPaths.some((p) => p.test(filePath))) return [];
+
+    const findings = [];
+    for (const { line, content } of lines) {
+      const found = new Set();
+
+      for (const pattern of this.patterns) {
+        for (const match of content.matchAll(pattern.regex)) {
+          const secret = match[1];
+          if (found.has(secret) || this.isPlaceholder(secret)) continue;
+          found.add(secret);
+          findings.push(this.toFinding(line, pattern, secret));
+        }
+      }
+
+      const assignments = this.secretAssignmentPatterns.flatMap((regex) => [
+        ...content.matchAll(regex),
+      ]);
+      for (const match of assignments) {
+        const secret = match[1];
+        if (found.has(secret) || !this.looksRandom(secret)) continue;
+        found.add(secret);
+        findings.push(
+          this.toFinding(
+            line,
+            { id: "high-entropy-secret", name: "hard-coded secret" },
+            secret
+          )
+        );
+      }
+    }
+
+    return findings;
+  }
+
+  /**
+   * Whether a value assigned to a secret-looking name is a real credential
+   * rather than a placeholder, identifier or environment lookup
+   */
+  looksRandom(value) {
+    if (this.isPlaceholder(value)) return false;
+    // Identifiers and property accesses (e.g. config.apiKey) are references
+    if (/^[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*(?:\(\))?$/.test(value)) {
+      return /\d/.test(value) && this.entropy(value) >= this.entropyThreshold;
+    }
+    return this.entropy(value) >= this.entropyThreshold;
+  }
+
+  isPlaceholder(value) {
+    return this.placeholderPattern.test(value);
+  }
+
+  /**
+   * Shannon entropy of a string, in bits per character
+   */
+  entropy(value) {
+    const counts = {};
+    for (const char of value) {
+      counts[char] = (counts[char] || 0) + 1;
+    }
+    return Object.values(counts).reduce((sum, count) => {
+      const p = count / value.length;
+      return sum - p * Math.log2(p);
+    }, 0);
+  }
+
+  toFinding(line, pattern, secret) {
+    return {
+      line,
+      lineVerified: true,
+      severity: "CRITICAL",
+      category: "security",
+      title: `Possible ${pattern.name} committed`,
+      description: `A value that looks like a ${pattern.name} appears in the code. Anyone with access to the repository can read it.`,
+      suggestion:
+        "Remove the value, rotate the credential, and load it from an environment variable or a secret manager instead.",
+      source: "SECRET",
+      ruleId: pattern.id,
+      secret,
+    };
+  }
+
+  /**
+   * Lines with every detected secret replaced. Private key bodies that
+   * follow a BEGIN line are blanked up to the matching END line.
+   */
+  redactLines(lines, findings) {
+    const secrets = [...new Set(findings.map((f) => f.secret))];
+    const keyStarts = new Set(
+      findings.filter((f) => f.ruleId === "private-key").map((f) => f.line)
+    );
+    if (secrets.length === 0) return lines;
+
+    let inKey = false;
+    return lines.map((l) => {
+      if (inKey) {
+        if (/-----END [A-Z0-9 ]*PRIVATE KEY/.test(l.content)) inKey = false;
+        else return { ...l, content: "[REDACTED]" };
+      }
+      if (keyStarts.has(l.line)) inKey = true;
+
+      return { ...l, content: this.redact(l.content, secrets) };
+    });
+  }
+
+  /**
+   * The unit with secrets redacted from every line and from the full file
+   * content. Context lines and the content reach the model and the stored
+   * snippets too, so they are scanned as well as the reviewed lines.
+   */
+  redactUnit(unit) {
+    const contentLines =
+      typeof unit.content === "string"
+        ? unit.content
+            .split("\n")
+            .map((content, i) => ({ line: i + 1, content }))
+        : [];
+    const findings = [
+      ...this.scan(unit.lines, unit.filePath),
+      ...this.scan(contentLines, unit.filePath),
+    ];
+    if (findings.length === 0) return unit;
+
+    return {
+      ...unit,
+      lines: this.redactLines(unit.lines, findings),
+      content:
+        contentLines.length > 0
+          ? this.redactLines(contentLines, findings)
+              .map((l) => l.content)
+              .join("\n")
+          : unit.content,
+    };
+  }
+
+  /**
+   * Text with the given secrets masked, keeping a short prefix for context
+   */
+  redact(text, secrets) {
+    let result = text;
+    for (const secret of secrets) {
+      if (secret.startsWith("-----BEGIN")) continue; // the header is harmless
+      const mask = `${secret.slice(0, 4)}[REDACTED]`;
+      result = result.split(secret).join(mask);
+    }
+    return result;
+  }
+}
+
+export default new SecretScanner();
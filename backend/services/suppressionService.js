@@ -0,0 +1,115 @@
+/**
+ * Suppression of accepted findings.
+ *
+ * Two mechanisms are honored, both applied before findings are saved:
+ * inline comments in the reviewed code, e.g.
+ *
+ *   // ai-review-ignore-next-line security
+ *   eval(trustedTemplate); // ai-review-ignore-line no-eval
+ *
+ * where the optional list names categories, rule ids or sources (no list
+ * ignores everything), and a baseline file committed at the repository root
+ * listing the fingerprints of accepted findings. Committed secrets are only
+ * ignored when the directive names their rule id or the "secret" source.
+ */
+export const BASELINE_FILE = ".aireview-baseline.json";
+
+class SuppressionService {
+  constructor() {
+    this.directivePattern =
+      /(?:\/\/|\/\*|#|--|<!--|;)\s*ai-review-ignore-(next-line|line)\b([^\n]*)/i;
+  }
+
+  /**
+   * Inline directives in `{ line, content }` entries, as a map from the
+   * line they apply to onto the lowercase names they ignore ([] = all)
+   */
+  parseDirectives(lines) {
+    const directives = new Map();
+
+    for (const { line, content } of lines) {
+      const match = content.match(this.directivePattern);
+      if (!match) continue;
+
+      const target = match[1].toLowerCase() === "line" ? line : line + 1;
+      const names = match[2]
+        .replace(/\*\/|-->/g, " ")
+        .split(/[\s,]+/)
+        .filter(Boolean)
+        .map((name) => name.toLowerCase());
+
+      const existing = directives.get(target);
+      if (existing && (existing.length === 0 || names.length === 0)) {
+        directives.set(target, []);
+      } else {
+        directives.set(target, [...(existing || []), ...names]);
+      }
+    }
+
+    return directives;
+  }
+
+  /**
+   * Whether an inline directive covers the line a finding starts on
+   */
+  matchesDirective(finding, directives) {
+    const names = directives.get(finding.line);
+    if (!names) return false;
+
+    // A secret must be accepted explicitly, not by a blanket or category ignore
+    const isSecret = finding.source === "SECRET";
+    if (names.length === 0) return !isSecret;
+
+    const keys = [
+      isSecret ? null : finding.category,
+      finding.ruleId,
+      finding.source,
+    ]
+      .filter(Boolean)
+      .map((key) => key.toLowerCase());
+    return names.some((name) => keys.includes(name));
+  }
+
+  /**
+   * Accepted fingerprints from the text of a baseline file. Entries are
+   * fingerprint strings or objects with a `fingerprint` field.
+   */
+  parseBaseline(text) {
+    if (!text) return new Set();
+
+    try {
+      const data = JSON.parse(text);
+      const entries = Array.isArray(data) ? data : data.issues || [];
+      return new Set(
+        entries
+          .map((entry) =>
+            typeof entry === "string" ? entry : entry?.fingerprint
+          )
+          .filter(Boolean)
+      );
+    } catch (error) {
+      console.error(`Ignoring invalid ${BASELINE_FILE}:`, error.message);
+      return new Set();
+    }
+  }
+
+  /**
+   * Baseline file contents accepting every fingerprinted issue given
+   */
+  buildBaseline(issues) {
+    const seen = new Set();
+    const entries = [];
+    for (const issue of issues) {
+      if (!issue.fingerprint || seen.has(issue.fingerprint)) continue;
+      seen.add(issue.fingerprint);
+      entries.push({
+        fingerprint: issue.fingerprint,
+        filePath: issue.filePath,
+        title: issue.title,
+      });
+    }
+    return { version: 1, issues: entries };
+  }
+}
+
+export default new SuppressionService();
@@ -0,0 +1,238 @@
+import path from "path";
+
+/**
+ * Deterministic check for changed code without test changes.
+ *
+ * For each changed source file, related test files are found by naming
+ * convention (`foo.test.js`, `test_foo.py`, `FooTest.java`, `foo_test.go`).
+ * When none of them was touched in the same diff, every new or changed
+ * exported function becomes a `testing` finding with a test skeleton.
+ */
+class TestGapDetector {
+  constructor() {
+    this.enabled = process.env.TEST_CHECK_ENABLED !== "false";
+    this.maxPerFile = parseInt(
+      process.env.TEST_CHECK_MAX_FINDINGS_PER_FILE || "5"
+    );
+
+    this.languages = {
+      javascript: {
+        isTest: (file) =>
+          /\.(test|spec)\.[cm]?jsx?$/.test(file) ||
+          /(^|\/)__tests__\//.test(file),
+        testNames: (name) =>
+          [".test", ".spec"].flatMap((kind) =>
+            ["js", "jsx", "mjs", "cjs", "ts", "tsx"].map(
+              (ext) => `${name}${kind}.${ext}`
+            )
+          ),
+        exports: [
+          /^export\s+(?:default\s+)?(?:async\s+)?function\s*\*?\s*(\w+)/,
+          /^export\s+(?:const|let|var)\s+(\w+)\s*=\s*(?:async\s+)?(?:function\b|\([^)]*\)\s*=>|\w+\s*=>)/,
+          /^(?:module\.)?exports\.(\w+)\s*=\s*(?:async\s+)?(?:function\b|\([^)]*\)\s*=>|\w+\s*=>)/,
+        ],
+      },
+      typescript: {
+        isTest: (file) =>
+          /\.(test|spec)\.[cm]?tsx?$/.test(file) ||
+          /(^|\/)__tests__\//.test(file),
+        testNames: (name) =>
+          [".test", ".spec"].flatMap((kind) =>
+            ["ts", "tsx", "js"].map((ext) => `${name}${kind}.${ext}`)
+          ),
+        exports: [
+          /^export\s+(?:default\s+)?(?:async\s+)?function\s*\*?\s*(\w+)/,
+          /^export\s+(?:const|let)\s+(\w+)\s*(?::[^=]+)?=\s*(?:async\s+)?(?:function\b|\([^)]*\)\s*(?::[^=]+)?=>|\w+\s*=>)/,
+        ],
+      },
+      python: {
+        isTest: (file) =>
+          /(^|\/)(test_[^/]*|[^/]*_test)\.py$/.test(file) ||
+          /(^|\/)conftest\.py$/.test(file),
+        testNames: (name) => [`test_${name}.py`, `${name}_test.py`],
+        // Public top-level functions; names starting with _ are private
+        exports: [/^(?:async\s+)?def\s+([a-zA-Z]\w*)\s*\(/],
+      },
+      java: {
+        isTest: (file) =>
+          /(Test|Tests|IT)\.java$/.test(file) || /(^|\/)src\/test\//.test(file),
+        testNames: (name) => [
+          `${name}Test.java`,
+          `${name}Tests.java`,
+          `${name}IT.java`,
+        ],
+        exports: [
+          /^\s+public\s+(?:static\s+)?(?:final\s+)?(?:synchronized\s+)?(?:<[^>]+>\s+)?[\w<>[\],\s]+?\s+(\w+)\s*\(/,
+        ],
+      },
+      go: {
+        isTest: (file) => /_test\.go$/.test(file),
+        testNames: (name) => [`${name}_test.go`],
+        // Exported (capitalized) functions and methods
+        exports: [/^func\s+(?:\([^)]*\)\s*)?([A-Z]\w*)\s*[[(]/],
+      },
+    };
+  }
+
+  /**
+   * Whether a path is a test file in any supported convention
+   */
+  isTestFile(filePath) {
+    return Object.values(this.languages).some((l) => l.isTest(filePath));
+  }
+
+  /**
+   * Test files that would cover a source file: by name anywhere in
+   * `repoFiles` and `changedFiles`
+   */
+  findRelatedTests(filePath, language, repoFiles, changedFiles) {
+    const rules = this.languages[language];
+    const ext = path.extname(filePath);
+    const name = path.basename(filePath, ext);
+    const names = new Set(rules.testNames(name));
+    const candidates = new Set([...(repoFiles || []), ...changedFiles]);
+
+    return [...candidates].filter((file) => {
+      const base = path.basename(file);
+      if (names.has(base)) return true;
+      // JavaScript tests named after the file inside __tests__
+      return (
+        /(^|\/)__tests__\//.test(file) &&
+        path.basename(file, path.extname(file)) === name
+      );
+    });
+  }
+
+  /**
+   * Findings for a unit. `context` holds the paths changed by the whole
+   * diff (`changedFiles`) and, when known, every file of the repository at
+   * the reviewed revision (`repoFiles`).
+   */
+  check(unit, context) {
+    const rules = this.languages[unit.language];
+    if (!this.enabled || !context || !rules) return [];
+    if (this.isTestFile(unit.filePath)) return [];
+
+    const addedLines = unit.lines
+      .filter((l) => l.type === "add")
+      .map((l) => l.line);
+    if (addedLines.length === 0) return [];
+
+    const related = this.findRelatedTests(
+      unit.filePath,
+      unit.language,
+      context.repoFiles,
+      context.changedFiles
+    );
+    if (related.some((file) => context.changedFiles.has(file))) return [];
+
+    const functions = this.findChangedExports(unit, rules, addedLines);
+    const findings = functions
+      .slice(0, this.maxPerFile)
+      .map((fn) =>
+        this.toFinding(unit, fn, related, Boolean(context.repoFiles))
+      );
+
+    if (functions.length > this.maxPerFile) {
+      findings[findings.length - 1].description += ` (${
+        functions.length - this.maxPerFile
+      } more changed functions in this file are not listed.)`;
+    }
+    return findings;
+  }
+
+  /**
+   * Exported functions whose declaration or body contains an added line.
+   * A function runs until the next line indented no deeper than its
+   * declaration (closing brackets excepted).
+   */
+  findChangedExports(unit, rules, addedLines) {
+    const lines =
+      typeof unit.content === "string"
+        ? unit.content
+            .replace(/\r?\n$/, "")
+            .split(/\r?\n/)
+            .map((content, i) => ({ line: i + 1, content }))
+        : unit.lines;
+    const indent = (content) => content.match(/^\s*/)[0].length;
+
+    const declarations = [];
+    for (const [index, { line, content }] of lines.entries()) {
+      for (const pattern of rules.exports) {
+        const match = content.match(pattern);
+        if (
+          match &&
+          !["if", "for", "while", "switch", "return", "new"].includes(match[1])
+        ) {
+          declarations.push({
+            index,
+            line,
+            name: match[1],
+            indent: indent(content),
+          });
+          break;
+        }
+      }
+    }
+
+    return declarations.filter((declaration) => {
+      let end = declaration.line;
+      for (let i = declaration.index + 1; i < lines.length; i++) {
+        const { line, content } = lines[i];
+        if (line !== lines[i - 1].line + 1) break; // gap between diff hunks
+        if (
+          content.trim() &&
+          indent(content) <= declaration.indent &&
+          !/^\s*[})\]]/.test(content)
+        )
+          break;
+        end = line;
+      }
+      return addedLines.some((l) => l >= declaration.line && l <= end);
+    });
+  }
+
+  toFinding(unit, fn, related, searched) {
+    return {
+      line: fn.line,
+      lineVerified: true,
+      severity: "MINOR",
+      category: "testing",
+      title: `No test changes for ${fn.name}`,
+      description:
+        related.length > 0
+          ? `${fn.name} is new or changed, but its tests (${related.join(
+              ", "
+            )}) were not updated in this change.`
+          : `${fn.name} is new or changed, and no test file for ${path.basename(
+              unit.filePath
+            )} ${searched ? "was found" : "is part of this change"}.`,
+      suggestion: `Add a test, for example:\n\n${this.skeleton(unit, fn.name)}`,
+      source: "TESTS",
+      ruleId: "tests/missing",
+    };
+  }
+
+  /**
+   * A starting point for a test of one function, in the language's most
+   * common framework
+   */
+  skeleton(unit, name) {
+    const base = path.basename(unit.filePath, path.extname(unit.filePath));
+
+    switch (unit.language) {
+      case "python":
+        return `# test_${base}.py\nfrom ${base} import ${name}\n\n\ndef test_${name}():\n    result = ${name}()\n    assert result is not None`;
+      case "java":
+        return `// ${base}Test.java\nimport org.junit.jupiter.api.Test;\nimport static org.junit.jupiter.api.Assertions.*;\n\nclass ${base}Test {\n    @Test\n    void ${name}() {\n        // arrange, act, assert\n        fail("not implemented");\n    }\n}`;
+      case "go":
+        return `// ${base}_test.go\nfunc Test${name}(t *testing.T) {\n\tgot := ${name}()\n\t_ = got\n\tt.Fatal("not implemented")\n}`;
+      default: {
+        const ext = path.extname(unit.filePath);
+        return `// ${base}.test${ext}\nimport { ${name} } from "./${base}";\n\ndescribe("${name}", () => {\n  it("works", () => {\n    expect(${name}()).toBeDefined();\n  });\n});`;
+      }
+    }
+  }
+}
+
+export default new TestGapDetector();
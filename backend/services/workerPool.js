@@ -0,0 +1,20 @@
+/**
+ * Run `worker` over `items` with at most `limit` calls in flight.
+ * Results are returned in input order; a rejected worker call rejects the
+ * whole run, so workers should handle their own per-item failures.
+ */
+export async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  const size = Math.max(1, Math.min(limit || 1, items.length));
+  let next = 0;
+
+  const runners = Array.from({ length: size }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+}
@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { generateValidatedAnalysis } from "../services/analysisSchema.js";
+
+test("a valid response on a later attempt counts every attempt's tokens", async () => {
+  const responses = ["not json", '{"issues": []}'];
+  const result = await generateValidatedAnalysis(
+    async () => ({ text: responses.shift(), tokensUsed: 100 }),
+    "Review this code",
+    3
+  );
+
+  assert.deepEqual(result.analysis.issues, []);
+  assert.equal(result.tokensUsed, 200);
+  assert.equal(result.attempts, 2);
+});
+
+test("the error after the last invalid attempt carries the tokens used", async () => {
+  await assert.rejects(
+    generateValidatedAnalysis(
+      async () => ({ text: "not json", tokensUsed: 100 }),
+      "Review this code",
+      3
+    ),
+    (error) => {
+      assert.match(error.message, /No valid analysis after 3 attempts/);
+      assert.equal(error.tokensUsed, 300);
+      return true;
+    }
+  );
+});
+
+test("a failing request keeps the tokens of the attempts before it", async () => {
+  let calls = 0;
+  await assert.rejects(
+    generateValidatedAnalysis(
+      async () => {
+        if (++calls === 2) throw new Error("connection reset");
+        return { text: "not json", tokensUsed: 100 };
+      },
+      "Review this code",
+      3
+    ),
+    (error) => {
+      assert.equal(error.message, "connection reset");
+      assert.equal(error.tokensUsed, 100);
+      return true;
+    }
+  );
+});
@@ -0,0 +1,121 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import migrationAnalyzer from "../services/migrationAnalyzer.js";
+
+const checkSql = (sql) =>
+  migrationAnalyzer.check({
+    language: "sql",
+    lines: sql
+      .split("\n")
+      .map((content, i) => ({ line: i + 1, content, type: "add" })),
+  });
+
+// A model in the new schema, with `removed` lines taken out of it
+const checkPrisma = (fields, removed) => {
+  const content = ["model User {", "  id String @id", ...fields, "}"].join(
+    "\n"
+  );
+  return migrationAnalyzer.check({
+    language: "prisma",
+    content,
+    lines: fields.map((f, i) => ({ line: i + 3, content: f, type: "add" })),
+    removed: removed.map((r) => ({ line: 3, content: r })),
+  });
+};
+
+const rules = (findings) =>
+  findings.map((f) => f.ruleId.replace("migration/", "")).sort();
+
+test("a drop and an add of a similarly named column is a rename", () => {
+  const findings = checkSql(
+    [
+      'ALTER TABLE "User" DROP COLUMN "email";',
+      'ALTER TABLE "User" ADD COLUMN "emailAddress" TEXT;',
+    ].join("\n")
+  );
+
+  assert.deepEqual(rules(findings), ["rename-as-drop"]);
+  assert.match(findings[0].title, /email is dropped while emailAddress/);
+});
+
+test("a misspelled column renamed to the right spelling is a rename", () => {
+  const findings = checkSql(
+    [
+      'ALTER TABLE "User" DROP COLUMN "adress";',
+      'ALTER TABLE "User" ADD COLUMN "address" TEXT;',
+    ].join("\n")
+  );
+
+  assert.deepEqual(rules(findings), ["rename-as-drop"]);
+});
+
+test("an unrelated drop and add on the same table stay a plain drop", () => {
+  const findings = checkSql(
+    [
+      'ALTER TABLE "User" DROP COLUMN "legacyScore";',
+      'ALTER TABLE "User" ADD COLUMN "timezone" TEXT;',
+    ].join("\n")
+  );
+
+  assert.deepEqual(rules(findings), ["drop-column"]);
+  assert.equal(findings[0].severity, "CRITICAL");
+  assert.match(findings[0].title, /legacyScore is dropped$/);
+});
+
+test("columns sharing only a short word are not paired", () => {
+  const findings = checkSql(
+    [
+      'ALTER TABLE "Post" DROP COLUMN "created_at";',
+      'ALTER TABLE "Post" ADD COLUMN "published_at" TIMESTAMP;',
+    ].join("\n")
+  );
+
+  assert.deepEqual(rules(findings), ["drop-column"]);
+});
+
+test("an added column is paired with one dropped column at most", () => {
+  const findings = checkSql(
+    [
+      'ALTER TABLE "User" DROP COLUMN "name", DROP COLUMN "nickname",',
+      '  ADD COLUMN "full_name" TEXT;',
+    ].join("\n")
+  );
+
+  assert.deepEqual(rules(findings), ["drop-column", "rename-as-drop"]);
+});
+
+test("a dropped and a created table with similar names are a rename", () => {
+  const findings = checkSql(
+    ['DROP TABLE "UserProfile";', 'CREATE TABLE "Profile" (id TEXT);'].join(
+      "\n"
+    )
+  );
+
+  assert.deepEqual(rules(findings), ["rename-as-drop"]);
+});
+
+test("a dropped and an unrelated created table stay a plain drop", () => {
+  const findings = checkSql(
+    ['DROP TABLE "LegacyScore";', 'CREATE TABLE "Timezone" (id TEXT);'].join(
+      "\n"
+    )
+  );
+
+  assert.deepEqual(rules(findings), ["drop-table"]);
+});
+
+test("a Prisma field replaced by a similarly named one is a rename", () => {
+  const findings = checkPrisma(["  emailAddress String?"], ["  email String?"]);
+
+  assert.deepEqual(rules(findings), ["rename-as-drop"]);
+  assert.match(findings[0].title, /email is replaced by emailAddress/);
+});
+
+test("a Prisma field replaced by an unrelated one of the same type is a drop", () => {
+  const findings = checkPrisma(
+    ["  timezone String?"],
+    ["  legacyScore String?"]
+  );
+
+  assert.deepEqual(rules(findings), ["drop-column"]);
+});
@@ -0,0 +1,13 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import reviewEvents from "../services/reviewEvents.js";
+
+test("the history of a review that never finishes expires when idle", () => {
+  reviewEvents.publish("stalled-review", "file-started", { file: "a.js" });
+
+  reviewEvents.expireIdle(Date.now() + reviewEvents.idleTtl / 2);
+  assert.equal(reviewEvents.getHistory("stalled-review").length, 1);
+
+  reviewEvents.expireIdle(Date.now() + reviewEvents.idleTtl + 1000);
+  assert.deepEqual(reviewEvents.getHistory("stalled-review"), []);
+});
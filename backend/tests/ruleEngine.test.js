@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import ruleEngine from "../services/ruleEngine.js";
+
+const standard = {
+  name: "Naming",
+  language: "all",
+  rules: { namingConventions: { constants: "UPPER_CASE" } },
+};
+
+const check = (code, language) =>
+  ruleEngine.check(
+    code.split("\n").map((content, i) => ({ line: i + 1, content })),
+    language,
+    [standard]
+  );
+
+test("ordinary module-level bindings are not held to constant naming", () => {
+  assert.deepEqual(check('const url = "http://x";', "javascript"), []);
+  assert.deepEqual(check("max_count = 3", "python"), []);
+});
+
+test("declared constants must follow constant naming", () => {
+  const js = check(
+    "export const limits = Object.freeze({ max: 3 });",
+    "javascript"
+  );
+  assert.equal(js.length, 1);
+  assert.match(js[0].title, /limits should be UPPER_CASE/);
+
+  const python = check("max_count: Final = 3", "python");
+  assert.equal(python.length, 1);
+
+  assert.deepEqual(check("MAX_COUNT: Final[int] = 3", "python"), []);
+  assert.equal(
+    check("private static final int maxCount = 3;", "java").length,
+    1
+  );
+});
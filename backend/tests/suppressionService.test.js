@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import suppressionService from "../services/suppressionService.js";
+
+const directivesFor = (comment) =>
+  suppressionService.parseDirectives([{ line: 1, content: comment }]);
+
+const secret = {
+  line: 2,
+  category: "security",
+  source: "SECRET",
+  ruleId: "stripe-key",
+};
+const lint = { line: 2, category: "style", source: "ESLINT", ruleId: "semi" };
+
+test("a bare ignore does not silence a committed secret", () => {
+  const directives = directivesFor("// ai-review-ignore-next-line");
+
+  assert.equal(suppressionService.matchesDirective(secret, directives), false);
+  assert.equal(suppressionService.matchesDirective(lint, directives), true);
+});
+
+test("a category ignore does not silence a committed secret", () => {
+  const directives = directivesFor("// ai-review-ignore-next-line security");
+
+  assert.equal(suppressionService.matchesDirective(secret, directives), false);
+});
+
+test("a secret is ignored when its rule id or source is named", () => {
+  for (const name of ["stripe-key", "secret"]) {
+    const directives = directivesFor(`// ai-review-ignore-next-line ${name}`);
+    assert.equal(suppressionService.matchesDirective(secret, directives), true);
+  }
+});
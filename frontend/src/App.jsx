@@ -1,8 +1,9 @@
 import { Routes, Route, Link, useLocation } from "react-router-dom";
-import { Code, Settings, BarChart } from "lucide-react";
+import { Code, Settings, BarChart, Zap } from "lucide-react";
 import Dashboard from "./pages/Dashboard";
 import ReviewDetail from "./pages/ReviewDetail";
 import CodingStandards from "./pages/CodingStandards";
+import QuickReview from "./pages/QuickReview";
 
 function Navigation() {
   const location = useLocation();
@@ -79,6 +80,13 @@ function Navigation() {
             >
               Dashboard
             </NavLink>
+            <NavLink
+              to="/quick-review"
+              icon={<Zap style={{ width: "20px", height: "20px" }} />}
+              active={isActive("/quick-review")}
+            >
+              Quick Review
+            </NavLink>
             <NavLink
               to="/standards"
               icon={<Settings style={{ width: "20px", height: "20px" }} />}
@@ -142,6 +150,7 @@ function App() {
         <Route path="/" element={<Dashboard />} />
         <Route path="/review/:id" element={<ReviewDetail />} />
         <Route path="/standards" element={<CodingStandards />} />
+        <Route path="/quick-review" element={<QuickReview />} />
       </Routes>
     </div>
   );
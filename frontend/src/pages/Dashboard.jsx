@@ -103,6 +103,17 @@ export default function Dashboard() {
               color="red"
               subtitle={`${stats.totalCritical} critical`}
             />
+            <StatCard
+              title="Net Quality Change"
+              value={
+                stats.netIssueChange > 0
+                  ? `+${stats.netIssueChange}`
+                  : stats.netIssueChange
+              }
+              icon={<CheckCircle style={{ width: "24px", height: "24px" }} />}
+              color="green"
+              subtitle={`${stats.totalNewIssues} new, ${stats.totalFixedIssues} fixed`}
+            />
             <StatCard
               title="Avg Analysis Time"
               value={`${stats.avgAnalysisTime}s`}
@@ -114,6 +125,11 @@ export default function Dashboard() {
               value={stats.totalTokens.toLocaleString()}
               icon={<Activity style={{ width: "24px", height: "24px" }} />}
               color="purple"
+              subtitle={
+                stats.totalCachedTokens > 0
+                  ? `${stats.totalCachedTokens.toLocaleString()} saved by cache`
+                  : undefined
+              }
             />
           </div>
         )}
@@ -219,6 +235,16 @@ function ReviewCard({ review, onClick }) {
         </div>
       </div>
 
+      {review.previousReviewId && (
+        <div className="review-lifecycle">
+          <span className="review-lifecycle-new">+{review.newIssues} new</span>
+          <span className="review-lifecycle-fixed">
+            {review.fixedIssues} fixed
+          </span>
+          <span>since last review</span>
+        </div>
+      )}
+
       {review.estimatedEffort && (
         <div className="review-effort">
           <TrendingUp style={{ width: "16px", height: "16px" }} />
@@ -0,0 +1,158 @@
+import { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import { Zap, Send } from "lucide-react";
+import axios from "axios";
+import "./QuickReview.css";
+
+const API_URL = import.meta.env.VITE_API_URL || "http://localhost:5000";
+
+const LANGUAGES = [
+  { value: "javascript", label: "JavaScript" },
+  { value: "typescript", label: "TypeScript" },
+  { value: "python", label: "Python" },
+  { value: "java", label: "Java" },
+  { value: "cpp", label: "C++" },
+  { value: "c", label: "C" },
+  { value: "csharp", label: "C#" },
+  { value: "go", label: "Go" },
+  { value: "ruby", label: "Ruby" },
+  { value: "php", label: "PHP" },
+  { value: "rust", label: "Rust" },
+];
+
+export default function QuickReview() {
+  const navigate = useNavigate();
+  const [code, setCode] = useState("");
+  const [language, setLanguage] = useState("javascript");
+  const [standards, setStandards] = useState([]);
+  const [selected, setSelected] = useState(new Set());
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const userId = 3; // TODO: Get from auth context (using Default Developer for now)
+
+  useEffect(() => {
+    fetchStandards();
+  }, []);
+
+  const fetchStandards = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/standards`);
+      setStandards(response.data.standards);
+      // Start from the standards a normal review would apply
+      setSelected(
+        new Set(
+          response.data.standards.filter((s) => s.isActive).map((s) => s.id)
+        )
+      );
+    } catch (err) {
+      console.error("Failed to fetch standards:", err);
+    }
+  };
+
+  const toggleStandard = (standardId) => {
+    const next = new Set(selected);
+    if (next.has(standardId)) {
+      next.delete(standardId);
+    } else {
+      next.add(standardId);
+    }
+    setSelected(next);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!code.trim()) return;
+
+    try {
+      setSubmitting(true);
+      setError(null);
+      const response = await axios.post(`${API_URL}/api/reviews/snippet`, {
+        code,
+        language,
+        userId,
+        standardIds: [...selected],
+      });
+      navigate(`/review/${response.data.reviewId}`);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="quick-review-container">
+      <div className="gh-container">
+        <div className="quick-review-header">
+          <h1 className="quick-review-title">
+            <Zap style={{ width: "32px", height: "32px" }} />
+            Quick Review
+          </h1>
+          <p className="quick-review-subtitle">
+            Paste a snippet and review it against your coding standards
+          </p>
+        </div>
+
+        <form onSubmit={handleSubmit} className="quick-review-form">
+          <div className="quick-review-main">
+            <label className="quick-review-label">
+              Language
+              <select
+                value={language}
+                onChange={(e) => setLanguage(e.target.value)}
+                className="quick-review-select"
+              >
+                {LANGUAGES.map((l) => (
+                  <option key={l.value} value={l.value}>
+                    {l.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+
+            <label className="quick-review-label">
+              Code
+              <textarea
+                required
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                className="quick-review-code"
+                rows="20"
+                spellCheck="false"
+                placeholder="Paste a function or file here..."
+              />
+            </label>
+
+            {error && <p className="quick-review-error">{error}</p>}
+
+            <button
+              type="submit"
+              disabled={submitting || !code.trim()}
+              className="quick-review-submit"
+            >
+              <Send style={{ width: "16px", height: "16px" }} />
+              {submitting ? "Submitting..." : "Review Snippet"}
+            </button>
+          </div>
+
+          <div className="quick-review-standards">
+            <h2 className="quick-review-standards-title">Standards</h2>
+            {standards.length === 0 && (
+              <p className="quick-review-muted">No coding standards defined</p>
+            )}
+            {standards.map((standard) => (
+              <label key={standard.id} className="quick-review-standard">
+                <input
+                  type="checkbox"
+                  checked={selected.has(standard.id)}
+                  onChange={() => toggleStandard(standard.id)}
+                />
+                <span>{standard.name}</span>
+                <span className="quick-review-badge">{standard.language}</span>
+              </label>
+            ))}
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -16,6 +16,8 @@ import {
   TestTube,
   Layers,
   GitBranch,
+  GitCommit,
+  Download,
 } from "lucide-react";
 import { Prism as SyntaxHighlighter } from "react-syntax-highlighter";
 import { vscDarkPlus } from "react-syntax-highlighter/dist/esm/styles/prism";
@@ -24,6 +26,22 @@ import axios from "axios";
 import "./ReviewDetail.css";
 
 const API_URL = import.meta.env.VITE_API_URL || "http://localhost:5000";
+const MAX_ACTIVITY = 8;
+// Badges for findings that came from deterministic checks rather than the AI
+const SOURCE_LABELS = {
+  LINTER: "ESLint",
+  RULE: "Rule",
+  SECRET: "Secret scan",
+  MIGRATION: "Migration check",
+  TESTS: "Test check",
+};
+// Minimum verification confidence to show; unverified findings always show
+const CONFIDENCE_LEVELS = [
+  { value: 0, label: "Any confidence" },
+  { value: 0.5, label: "50% or more" },
+  { value: 0.7, label: "70% or more" },
+  { value: 0.9, label: "90% or more" },
+];
 
 export default function ReviewDetail() {
   const { id } = useParams();
@@ -34,12 +52,100 @@ export default function ReviewDetail() {
   const [selectedIssue, setSelectedIssue] = useState(null);
   const [comment, setComment] = useState("");
   const [expandedIssues, setExpandedIssues] = useState(new Set());
+  const [activity, setActivity] = useState([]);
+  const [minConfidence, setMinConfidence] = useState(0);
   const userId = 3; // TODO: Get from auth context (using Default Developer for now)
 
   useEffect(() => {
     fetchReview();
   }, [id]);
 
+  const isRunning =
+    review?.status === "PENDING" || review?.status === "IN_PROGRESS";
+  const suppressed = review?.summary?.suppressed;
+  const verification = review?.summary?.verification;
+  const passes = Object.entries(review?.summary?.passes || {});
+
+  // Follow the live event stream while the review is queued or running
+  useEffect(() => {
+    if (!isRunning) return;
+
+    const source = new EventSource(`${API_URL}/api/reviews/${id}/events`);
+    const addActivity = (text, tone = "default") =>
+      setActivity((prev) => [
+        ...prev.slice(-(MAX_ACTIVITY - 1)),
+        { text, tone },
+      ]);
+
+    source.addEventListener("status", (e) => {
+      const data = JSON.parse(e.data);
+      setReview((prev) => ({
+        ...prev,
+        status: data.status,
+        filesTotal: data.filesTotal ?? prev.filesTotal,
+      }));
+    });
+
+    source.addEventListener("file-skipped", (e) => {
+      const data = JSON.parse(e.data);
+      addActivity(`Skipped ${data.file} (${data.reason})`, "muted");
+    });
+
+    source.addEventListener("file-started", (e) => {
+      const data = JSON.parse(e.data);
+      setReview((prev) => ({ ...prev, currentFile: data.file }));
+      addActivity(`Analyzing ${data.file}`);
+    });
+
+    source.addEventListener("file-completed", (e) => {
+      const data = JSON.parse(e.data);
+      setReview((prev) => ({
+        ...prev,
+        filesProcessed: data.filesProcessed,
+        filesTotal: data.filesTotal,
+      }));
+    });
+
+    source.addEventListener("file-error", (e) => {
+      const data = JSON.parse(e.data);
+      addActivity(`Failed to analyze ${data.file}: ${data.error}`, "danger");
+    });
+
+    source.addEventListener("issue", (e) => {
+      const { issue } = JSON.parse(e.data);
+      setReview((prev) => ({
+        ...prev,
+        issues: [...prev.issues.filter((i) => i.id !== issue.id), issue],
+      }));
+      addActivity(`${issue.severity}: ${issue.title}`, "issue");
+    });
+
+    source.addEventListener("tokens", (e) => {
+      const data = JSON.parse(e.data);
+      setReview((prev) => ({ ...prev, tokensUsed: data.totalTokens }));
+    });
+
+    source.addEventListener("effort-started", () => {
+      setReview((prev) => ({ ...prev, currentFile: null }));
+      addActivity("Estimating effort...");
+    });
+
+    const finish = async () => {
+      source.close();
+      try {
+        const response = await axios.get(`${API_URL}/api/reviews/${id}`);
+        setReview(response.data.review);
+      } catch (err) {
+        setError(err.message);
+      }
+    };
+
+    source.addEventListener("complete", finish);
+    source.addEventListener("failed", finish);
+
+    return () => source.close();
+  }, [id, isRunning]);
+
   const fetchReview = async () => {
     try {
       setLoading(true);
@@ -152,7 +258,11 @@ export default function ReviewDetail() {
     );
   }
 
-  const issuesByFile = review.issues.reduce((acc, issue) => {
+  const hasConfidence = review.issues.some((i) => i.confidence != null);
+  const visibleIssues = review.issues.filter(
+    (i) => i.confidence == null || i.confidence >= minConfidence
+  );
+  const issuesByFile = visibleIssues.reduce((acc, issue) => {
     if (!acc[issue.filePath]) {
       acc[issue.filePath] = [];
     }
@@ -172,8 +282,74 @@ export default function ReviewDetail() {
 
           <div className="review-header-main">
             <div className="review-header-info">
-              <h1>{review.branch}</h1>
-              <p className="review-path">{review.repositoryPath}</p>
+              <h1>
+                {review.type === "RANGE"
+                  ? `${review.baseRef}...${review.headRef}`
+                  : review.type === "SNIPPET"
+                  ? "Quick Review"
+                  : review.branch}
+              </h1>
+              {review.type === "BASELINE" && (
+                <p className="review-path">
+                  Baseline scan of {review.scanPath || "the whole repository"}
+                </p>
+              )}
+              {review.type === "UPLOAD" && (
+                <p className="review-path">Reviewed from an uploaded diff</p>
+              )}
+              {review.type !== "SNIPPET" && (
+                <p className="review-path">{review.repositoryPath}</p>
+              )}
+              {review.type === "RANGE" && review.mergeBase && (
+                <p className="review-path">
+                  Compared against merge base {review.mergeBase.slice(0, 7)}
+                </p>
+              )}
+              {review.provider && (
+                <p className="review-path">
+                  Analyzed with {review.provider}
+                  {review.model && ` (${review.model})`}
+                </p>
+              )}
+              {review.summary?.changedLinesFilter && (
+                <p className="review-path">
+                  Changed lines only: {review.summary.changedLinesFilter.kept}{" "}
+                  kept, {review.summary.changedLinesFilter.downgraded}{" "}
+                  downgraded, {review.summary.changedLinesFilter.dropped}{" "}
+                  dropped
+                </p>
+              )}
+              {review.previousReviewId && (
+                <p className="review-path">
+                  Since the last review: {review.newIssues} new,{" "}
+                  {review.persistingIssues} persisting, {review.fixedIssues}{" "}
+                  fixed
+                </p>
+              )}
+              {passes.length > 0 && (
+                <p className="review-path">
+                  {review.summary.depth === "deep" ? "Deep" : "Quick"} review:{" "}
+                  {passes
+                    .map(
+                      ([pass, stats]) =>
+                        `${pass} ${stats.tokensUsed.toLocaleString()} tokens`
+                    )
+                    .join(", ")}
+                </p>
+              )}
+              {verification && (
+                <p className="review-path">
+                  Verification: {verification.verified} checked,{" "}
+                  {verification.downgraded} downgraded, {verification.dropped}{" "}
+                  dropped
+                </p>
+              )}
+              {suppressed && suppressed.inline + suppressed.baseline > 0 && (
+                <p className="review-path">
+                  Suppressed: {suppressed.inline} by ignore comments,{" "}
+                  {suppressed.baseline} by the baseline
+                </p>
+              )}
             </div>
             <div className="review-header-meta">
               <p className="review-time">
@@ -185,9 +361,25 @@ export default function ReviewDetail() {
                 <Clock style={{ width: "16px", height: "16px" }} />
                 <span>{review.analysisTime?.toFixed(2)}s</span>
               </div>
+              {review.status === "COMPLETED" && review.type !== "SNIPPET" && (
+                <a
+                  href={`${API_URL}/api/reviews/${review.id}/baseline`}
+                  className="review-baseline-link"
+                  title="Accept the open issues: commit this file at the repository root"
+                >
+                  <Download style={{ width: "16px", height: "16px" }} />
+                  <span>Baseline</span>
+                </a>
+              )}
             </div>
           </div>
 
+          {(isRunning ||
+            review.status === "FAILED" ||
+            review.failedFiles?.length > 0) && (
+            <ReviewProgress review={review} activity={activity} />
+          )}
+
           {/* Stats */}
           <div className="stats-row">
             <StatBadge
@@ -220,7 +412,23 @@ export default function ReviewDetail() {
         <div className="review-layout">
           {/* Issues List */}
           <div className="issues-section">
-            <h2 className="section-title">Issues Found</h2>
+            <div className="issues-section-header">
+              <h2 className="section-title">Issues Found</h2>
+              {hasConfidence && (
+                <select
+                  value={minConfidence}
+                  onChange={(e) => setMinConfidence(Number(e.target.value))}
+                  className="confidence-select"
+                  title="Hide verified findings below this confidence"
+                >
+                  {CONFIDENCE_LEVELS.map((level) => (
+                    <option key={level.value} value={level.value}>
+                      {level.label}
+                    </option>
+                  ))}
+                </select>
+              )}
+            </div>
 
             {Object.entries(issuesByFile).map(([filePath, issues]) => (
               <div key={filePath} className="file-group">
@@ -242,6 +450,7 @@ export default function ReviewDetail() {
                     <IssueCard
                       key={issue.id}
                       issue={issue}
+                      showLifecycle={Boolean(review.previousReviewId)}
                       expanded={expandedIssues.has(issue.id)}
                       onToggle={() => toggleIssueExpand(issue.id)}
                       onResolve={handleResolveIssue}
@@ -262,6 +471,11 @@ export default function ReviewDetail() {
               <RecommendationsCard recommendations={review.recommendations} />
             )}
 
+            {/* Per-commit breakdown for range reviews */}
+            {review.commitBreakdown && review.commitBreakdown.length > 0 && (
+              <CommitBreakdownCard commits={review.commitBreakdown} />
+            )}
+
             {/* Comment Box */}
             <div className="sidebar-card">
               <h3 className="sidebar-title">
@@ -312,6 +526,69 @@ export default function ReviewDetail() {
   );
 }
 
+function ReviewProgress({ review, activity }) {
+  if (review.status === "FAILED") {
+    return (
+      <div className="review-progress review-progress-failed">
+        <AlertCircle style={{ width: "16px", height: "16px" }} />
+        <span>Analysis failed: {review.error || "Unknown error"}</span>
+      </div>
+    );
+  }
+
+  if (review.status === "COMPLETED") {
+    return (
+      <div className="review-progress review-progress-partial">
+        <AlertCircle style={{ width: "16px", height: "16px" }} />
+        <span
+          title={review.failedFiles
+            .map(({ file, error }) => `${file}: ${error}`)
+            .join("\n")}
+        >
+          Partially failed: {review.failedFiles.length} of {review.filesTotal}{" "}
+          files could not be analyzed (
+          {[...new Set(review.failedFiles.map(({ file }) => file))].join(", ")})
+        </span>
+      </div>
+    );
+  }
+
+  const percent =
+    review.filesTotal > 0
+      ? Math.round((review.filesProcessed / review.filesTotal) * 100)
+      : 0;
+
+  return (
+    <div className="review-progress">
+      <div className="review-progress-label">
+        <span>
+          {review.status === "PENDING"
+            ? "Queued for analysis..."
+            : `Analyzing ${review.currentFile || "files"}...`}
+        </span>
+        <span>
+          {review.filesProcessed}/{review.filesTotal} files
+        </span>
+      </div>
+      <div className="review-progress-track">
+        <div className="review-progress-bar" style={{ width: `${percent}%` }} />
+      </div>
+      {activity.length > 0 && (
+        <ul className="review-activity">
+          {activity.map((item, index) => (
+            <li
+              key={index}
+              className={`review-activity-item review-activity-${item.tone}`}
+            >
+              {item.text}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
 function StatBadge({ label, value, color }) {
   const colorClasses = {
     gray: "stat-badge-gray",
@@ -331,6 +608,7 @@ function StatBadge({ label, value, color }) {
 
 function IssueCard({
   issue,
+  showLifecycle,
   expanded,
   onToggle,
   onResolve,
@@ -349,7 +627,47 @@ function IssueCard({
               {issue.severity}
             </span>
             <span className="category-badge">{issue.category}</span>
-            <span className="line-number">Line {issue.lineNumber}</span>
+            {SOURCE_LABELS[issue.source] && (
+              <span className="category-badge" title={issue.ruleId}>
+                {SOURCE_LABELS[issue.source]}
+              </span>
+            )}
+            {issue.confidence != null && (
+              <span
+                className="category-badge"
+                title="Confidence from the verification pass"
+              >
+                {Math.round(issue.confidence * 100)}% confidence
+              </span>
+            )}
+            {showLifecycle && (
+              <span
+                className="category-badge"
+                title={
+                  issue.lifecycle === "PERSISTING"
+                    ? "Also reported by the last review"
+                    : "Not reported by the last review"
+                }
+              >
+                {issue.lifecycle === "PERSISTING" ? "Persisting" : "New"}
+              </span>
+            )}
+            <span
+              className="line-number"
+              title={
+                issue.lineVerified === false
+                  ? "The reported line was outside the reviewed code; showing the nearest reviewed line"
+                  : undefined
+              }
+            >
+              Line {issue.lineNumber}
+              {issue.lineVerified === false && " (approx.)"}
+            </span>
+            {issue.commitHash && (
+              <span className="line-number">
+                {issue.commitHash.slice(0, 7)}
+              </span>
+            )}
           </div>
           <h4 className="issue-title">{issue.title}</h4>
           <p className="issue-description">{issue.description}</p>
@@ -432,6 +750,39 @@ function IssueCard({
   );
 }
 
+function CommitBreakdownCard({ commits }) {
+  return (
+    <div className="sidebar-card">
+      <h3 className="sidebar-title">
+        <GitCommit style={{ width: "20px", height: "20px" }} />
+        Commits
+      </h3>
+      <ul className="commit-list">
+        {commits.map((commit) => (
+          <li key={commit.hash} className="commit-item">
+            <div className="commit-item-header">
+              <span className="line-number">{commit.hash.slice(0, 7)}</span>
+              <span className="commit-subject">{commit.subject}</span>
+            </div>
+            <div className="commit-item-stats">
+              <span>{commit.filesAnalyzed} files</span>
+              <span className="stat-badge-red">
+                {commit.criticalIssues} critical
+              </span>
+              <span className="stat-badge-yellow">
+                {commit.majorIssues} major
+              </span>
+              <span className="stat-badge-blue">
+                {commit.minorIssues} minor
+              </span>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
 function RecommendationsCard({ recommendations }) {
   const hasRecommendations =
     (recommendations.documentation &&